@@ -10,7 +10,10 @@ const CONFIG = {
   scrollOffset: 80,
   counterSpeed: 200,
   formResetDelay: 5000,
-  observerRootMargin: '0px 0px -100px 0px'
+  observerRootMargin: '0px 0px -100px 0px',
+  consoleIdleDelay: 60000,
+  terminalTypeSpeed: 50,
+  terminalStepDelay: 400
 };
 
 // DOM Ready Handler
@@ -34,6 +37,8 @@ function initApplication() {
   setupSecurityConsole();
   setupTerminalEffects();
   setupPasswordGenerator();
+  setupPasswordStrength();
+  setupCryptoToolkit();
   setupCopyButtons();
   setupSessionTimeout();
 }
@@ -49,8 +54,8 @@ function setupMobileNavigation() {
 
   mobileMenuBtn.addEventListener('click', function() {
     const isActive = navLinks.classList.toggle('active');
-    this.innerHTML = isActive ? 
-      '<i class="fas fa-times"></i>' : '<i class="fas fa-bars"></i>';
+    setHTML(this, isActive ? 
+      '<i class="fas fa-times"></i>' : '<i class="fas fa-bars"></i>', 'setupMobileNavigation');
     document.body.style.overflow = isActive ? 'hidden' : '';
   });
 
@@ -60,7 +65,7 @@ function setupMobileNavigation() {
         !mobileMenuBtn.contains(e.target) &&
         navLinks.classList.contains('active')) {
       navLinks.classList.remove('active');
-      mobileMenuBtn.innerHTML = '<i class="fas fa-bars"></i>';
+      setHTML(mobileMenuBtn, '<i class="fas fa-bars"></i>', 'setupMobileNavigation');
       document.body.style.overflow = '';
     }
   });
@@ -188,12 +193,12 @@ function validateEmail(email) {
  * Show Form Success State
  */
 function showFormSuccess(form) {
-  form.innerHTML = `
+  setHTML(form, `
     <div class="form-success">
       <i class="fas fa-check-circle"></i>
       <p>Thank you for subscribing! Check your email for confirmation.</p>
     </div>
-  `;
+  `, 'showFormSuccess');
 }
 
 /**
@@ -202,7 +207,7 @@ function showFormSuccess(form) {
 function showFormError(form, message) {
   const errorDiv = document.createElement('div');
   errorDiv.className = 'form-error';
-  errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i><p>${message}</p>`;
+  setHTML(errorDiv, `<i class="fas fa-exclamation-circle"></i><p>${escapeHTML(message)}</p>`, 'showFormError');
   form.parentNode.insertBefore(errorDiv, form.nextSibling);
   
   setTimeout(() => {
@@ -215,10 +220,10 @@ function showFormError(form, message) {
  * Reset Form to Initial State
  */
 function resetForm(form) {
-  form.innerHTML = `
+  setHTML(form, `
     <input type="email" class="newsletter-input" placeholder="Your professional email" required>
     <button type="submit" class="newsletter-btn">Subscribe</button>
-  `;
+  `, 'resetForm');
 }
 
 /**
@@ -319,188 +324,2029 @@ function setupThemeSwitcher() {
   const themeSwitcher = document.querySelector('#theme-switcher');
   if (!themeSwitcher) return;
 
-  const currentTheme = localStorage.getItem('theme') || 'dark';
-  document.documentElement.setAttribute('data-theme', currentTheme);
+  applyTheme(localStorage.getItem('theme') || 'dark', false);
 
   themeSwitcher.addEventListener('click', function() {
-    const newTheme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-    this.innerHTML = newTheme === 'dark' ? 
-      '<i class="fas fa-moon"></i>' : '<i class="fas fa-sun"></i>';
+    applyTheme(document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark');
   });
+}
+
+/**
+ * Apply a Theme
+ * Sets data-theme on the root element and syncs the switcher icon; the
+ * choice is remembered unless `persist` is false.
+ */
+function applyTheme(theme, persist = true) {
+  document.documentElement.setAttribute('data-theme', theme);
+  if (persist) localStorage.setItem('theme', theme);
+
+  const themeSwitcher = document.querySelector('#theme-switcher');
+  if (themeSwitcher) {
+    setHTML(themeSwitcher, theme === 'dark' ?
+      '<i class="fas fa-moon"></i>' : '<i class="fas fa-sun"></i>', 'applyTheme');
+  }
+}
+
+/**
+ * Security Console Setup
+ * Turns .security-console into an interactive terminal: a role="log"
+ * output above a prompt, with history (up/down), tab completion and the
+ * commands in CONSOLE_COMMANDS. The intro typewriter plays as an attract
+ * mode until the visitor interacts and resumes after CONFIG.consoleIdleDelay.
+ */
+function setupSecurityConsole() {
+  const consoleElement = document.querySelector('.security-console');
+  if (!consoleElement) return;
+
+  const messages = [
+    "Initializing security protocols...",
+    "Scanning network interfaces...",
+    "Firewall: ACTIVE",
+    "Intrusion detection: ENABLED",
+    "All systems operational",
+    "Welcome to CyberEmpireX"
+  ];
+
+  const output = document.createElement('div');
+  output.className = 'console-output';
+  output.setAttribute('role', 'log');
+
+  const inputLine = document.createElement('form');
+  inputLine.className = 'console-input-line';
+  const prompt = document.createElement('label');
+  prompt.className = 'console-prompt';
+  prompt.textContent = CONSOLE_PROMPT;
+  const input = document.createElement('input');
+  input.className = 'console-input';
+  input.type = 'text';
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('autocapitalize', 'off');
+  input.setAttribute('aria-label', 'Console command');
+  prompt.appendChild(input);
+  inputLine.appendChild(prompt);
+
+  consoleElement.textContent = '';
+  consoleElement.append(output, inputLine);
+
+  const history = [];
+  let historyIndex = 0;
+  let draft = '';
+  let greeted = false;
+
+  let attract = null;
+  let attractTimer = null;
+  let idleTimer = null;
+  let messageIndex = 0;
+  let typingAlert = null;
+
+  function print(text, tone) {
+    const line = document.createElement('div');
+    line.className = tone ? `console-line console-${tone}` : 'console-line';
+    line.textContent = text;
+    // The attract line, while it plays, stays below everything else
+    output.insertBefore(line, attract);
+    output.scrollTop = output.scrollHeight;
+  }
+
+  const io = {
+    print,
+    clear: () => output.querySelectorAll('.console-line').forEach(line => line.remove()),
+    element: consoleElement
+  };
+
+  // Live findings from SecurityAudit: typed out in attract mode, printed
+  // straight away once the console is in use
+  const alerts = [];
+  if (window.SecurityAudit && typeof window.SecurityAudit.on === 'function') {
+    window.SecurityAudit.on('*', (threat, { suppressed }) => {
+      const more = suppressed ? ` (+${suppressed} more)` : '';
+      const alert = `[ALERT] ${threat.type} detected, ${threat.severity} severity${more}`;
+      if (attract) {
+        alerts.push(alert);
+      } else {
+        print(alert, 'alert');
+      }
+    }, { kind: 'threat', throttle: 5000 });
+  }
+
+  function typeMessage() {
+    if (!alerts.length && messageIndex >= messages.length) {
+      // Loop the animation
+      messageIndex = 0;
+      attractTimer = setTimeout(() => {
+        attract.textContent = '> ';
+        typeMessage();
+      }, 3000);
+      return;
+    }
+
+    const isAlert = alerts.length > 0;
+    const message = isAlert ? alerts.shift() : messages[messageIndex];
+    typingAlert = isAlert ? message : null;
+    let charIndex = 0;
+
+    const typeChar = () => {
+      if (charIndex < message.length) {
+        attract.textContent += message.charAt(charIndex);
+        charIndex++;
+        output.scrollTop = output.scrollHeight;
+        attractTimer = setTimeout(typeChar, 50);
+      } else {
+        typingAlert = null;
+        attractTimer = setTimeout(() => {
+          attract.textContent += "\n> ";
+          if (!isAlert) messageIndex++;
+          typeMessage();
+        }, 1000);
+      }
+    };
+    typeChar();
+  }
+
+  function startAttract() {
+    if (attract) return;
+    attract = document.createElement('div');
+    attract.className = 'console-attract';
+    attract.textContent = '> ';
+    output.appendChild(attract);
+    messageIndex = 0;
+    typeMessage();
+  }
+
+  function stopAttract() {
+    if (!attract) return;
+    clearTimeout(attractTimer);
+    attract.remove();
+    attract = null;
+
+    // Nothing the typewriter was holding back gets lost
+    if (typingAlert) print(typingAlert, 'alert');
+    alerts.splice(0).forEach(alert => print(alert, 'alert'));
+    typingAlert = null;
+
+    if (!greeted) {
+      print("Type 'help' to list commands, Tab to complete.", 'info');
+      greeted = true;
+    }
+  }
+
+  function wake() {
+    stopAttract();
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (input.value) {
+        wake();
+      } else {
+        startAttract();
+      }
+    }, CONFIG.consoleIdleDelay);
+  }
+
+  async function execute(line) {
+    print(`${CONSOLE_PROMPT} ${line}`, 'command');
+
+    const [name, ...args] = parseConsoleInput(line);
+    if (!name) return;
+
+    const command = CONSOLE_COMMANDS.get(name);
+    if (!command) {
+      print(`${name}: command not found. Type 'help' to list commands.`, 'error');
+      return;
+    }
+
+    input.disabled = true;
+    try {
+      const result = await command.run(args, io);
+      if (result !== undefined && result !== null) print(String(result));
+    } catch (error) {
+      print(`${name}: ${error.message}`, 'error');
+    } finally {
+      input.disabled = false;
+      input.focus();
+    }
+  }
+
+  function complete() {
+    const value = input.value;
+    const tokens = parseConsoleInput(value);
+    if (!tokens.length || /\s$/.test(value)) tokens.push('');
+
+    const partial = tokens[tokens.length - 1];
+    let candidates;
+    if (tokens.length === 1) {
+      candidates = Array.from(CONSOLE_COMMANDS.keys());
+    } else {
+      const command = CONSOLE_COMMANDS.get(tokens[0]);
+      candidates = command && typeof command.complete === 'function' ?
+        command.complete(tokens.slice(1)) || [] : [];
+    }
+
+    const matches = candidates.filter(candidate => candidate.startsWith(partial));
+    if (!matches.length) return;
+
+    if (matches.length === 1) {
+      // Options that take a value (--count=) leave the caret after the '='
+      input.value = value.replace(/\S*$/, matches[0].endsWith('=') ? matches[0] : `${matches[0]} `);
+      return;
+    }
+
+    const prefix = matches.reduce((common, match) => {
+      let length = 0;
+      while (length < common.length && common[length] === match[length]) length++;
+      return common.slice(0, length);
+    });
+
+    if (prefix.length > partial.length) {
+      input.value = value.replace(/\S*$/, prefix);
+    } else {
+      print(`${CONSOLE_PROMPT} ${value}`, 'command');
+      print(matches.join('  '));
+    }
+  }
+
+  inputLine.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const line = input.value.trim();
+    input.value = '';
+    draft = '';
+
+    if (line && history[history.length - 1] !== line) {
+      history.push(line);
+      if (history.length > CONSOLE_HISTORY_LIMIT) history.shift();
+    }
+    historyIndex = history.length;
+
+    execute(line);
+  });
+
+  input.addEventListener('keydown', function(e) {
+    wake();
+
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      complete();
+    } else if (e.key === 'ArrowUp' && historyIndex > 0) {
+      e.preventDefault();
+      if (historyIndex === history.length) draft = input.value;
+      historyIndex--;
+      input.value = history[historyIndex];
+    } else if (e.key === 'ArrowDown' && historyIndex < history.length) {
+      e.preventDefault();
+      historyIndex++;
+      input.value = historyIndex === history.length ? draft : history[historyIndex];
+    }
+  });
+
+  input.addEventListener('focus', wake);
+  consoleElement.addEventListener('click', function() {
+    if (!window.getSelection || !window.getSelection().toString()) input.focus();
+  });
+
+  startAttract();
+}
+
+const CONSOLE_PROMPT = 'guest@cyberempirex:~$';
+const CONSOLE_HISTORY_LIMIT = 100;
+
+/**
+ * Security Console Commands
+ * name -> { description, usage, run(args, io), complete(args) }. `run` may
+ * be async and either print through io.print(text, tone) or return the
+ * text to show; `complete` returns candidates for the last argument.
+ */
+const CONSOLE_COMMANDS = new Map();
+
+/**
+ * Register a Security Console Command
+ * Later registrations replace earlier ones, so built-ins can be overridden.
+ */
+function registerConsoleCommand(name, command) {
+  if (!/^[a-z][\w-]*$/.test(name)) {
+    throw new TypeError(`Invalid console command name: ${name}`);
+  }
+  if (!command || typeof command.run !== 'function') {
+    throw new TypeError(`Console command "${name}" needs a run() function`);
+  }
+
+  CONSOLE_COMMANDS.set(name, { description: '', usage: name, ...command });
+}
+
+/**
+ * Split a Console Line into Arguments
+ * Whitespace separates arguments; single or double quotes keep spaces.
+ */
+function parseConsoleInput(line) {
+  const args = [];
+  const pattern = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return args;
+}
+
+/**
+ * Separate --flag and --name=value Options from Positional Arguments
+ */
+function consoleOptions(args) {
+  const options = {};
+  const positional = [];
+  args.forEach(arg => {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2] ?? true;
+    } else {
+      positional.push(arg);
+    }
+  });
+  return { options, positional };
+}
+
+function consoleInteger(value, fallback, min, max, name) {
+  if (value === undefined || value === true) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function securityAuditInstance() {
+  const audit = window.SecurityAudit;
+  if (!audit || !audit.state) throw new Error('SecurityAudit is not running on this page');
+  return audit;
+}
+
+// Toolkit operation ids ending in `-${suffix}`, without the suffix
+function toolkitFormats(suffix) {
+  return Object.keys(TOOLKIT_OPERATIONS)
+    .filter(id => id.endsWith(`-${suffix}`))
+    .map(id => id.slice(0, -suffix.length - 1));
+}
+
+function toolkitDigests() {
+  return Object.keys(TOOLKIT_OPERATIONS).filter(id => /^sha-\d+$/.test(id));
+}
+
+// Built lazily: the commands are registered before TOOLKIT_OPERATIONS exists
+function toolkitCommand(suffix, description) {
+  return {
+    description,
+    usage: `${suffix} <format> <text>`,
+    async run([format, ...words]) {
+      if (!toolkitFormats(suffix).includes(format) || !words.length) {
+        throw new Error(`usage: ${suffix} <${toolkitFormats(suffix).join('|')}> <text>`);
+      }
+      const { output, error } = await runToolkitPipeline(words.join(' '), [`${format}-${suffix}`]);
+      if (error) throw new Error(error);
+      return output;
+    },
+    complete: args => (args.length === 1 ? toolkitFormats(suffix) : [])
+  };
+}
+
+registerConsoleCommand('help', {
+  description: 'List commands, or describe one',
+  usage: 'help [command]',
+  run([name], io) {
+    if (name) {
+      const command = CONSOLE_COMMANDS.get(name);
+      if (!command) throw new Error(`no such command: ${name}`);
+      io.print(`usage: ${command.usage}`);
+      if (command.description) io.print(command.description);
+      return;
+    }
+
+    const width = Math.max(...Array.from(CONSOLE_COMMANDS.keys(), key => key.length));
+    CONSOLE_COMMANDS.forEach((command, key) => {
+      io.print(`${key.padEnd(width)}  ${command.description}`);
+    });
+  },
+  complete: args => (args.length === 1 ? Array.from(CONSOLE_COMMANDS.keys()) : [])
+});
+
+registerConsoleCommand('clear', {
+  description: 'Clear the console',
+  usage: 'clear',
+  run(args, io) {
+    io.clear();
+  }
+});
+
+registerConsoleCommand('genpass', {
+  description: 'Generate passwords or passphrases with the password generator',
+  usage: 'genpass [length|words] [--passphrase] [--count=n] [--no-upper] [--no-lower] ' +
+    '[--no-numbers] [--no-symbols] [--no-ambiguous]',
+  run(args, io) {
+    const { options, positional } = consoleOptions(args);
+    const passphrase = Boolean(options.passphrase);
+    const generatorOptions = {
+      mode: passphrase ? 'passphrase' : 'password',
+      length: passphrase ? 16 : consoleInteger(positional[0], 16, 4, 128, 'length'),
+      words: passphrase ? consoleInteger(positional[0], 6, 3, 20, 'words') : 6,
+      separator: '-',
+      capitalize: 'none',
+      upper: !options['no-upper'],
+      lower: !options['no-lower'],
+      numbers: !options['no-numbers'],
+      symbols: !options['no-symbols'],
+      excludeAmbiguous: Boolean(options['no-ambiguous'])
+    };
+
+    if (!passphrase && !passwordCharsets(generatorOptions).length) {
+      throw new Error('at least one character class is required');
+    }
+
+    generateSecrets(generatorOptions, consoleInteger(options.count, 1, 1, 20, 'count'))
+      .forEach(secret => io.print(secret, 'secret'));
+
+    const bits = generatorEntropy(generatorOptions);
+    io.print(`${Math.round(bits)} bits of entropy (${entropyStrength(bits).label})`, 'info');
+  },
+  complete: () => ['--passphrase', '--count=', '--no-upper', '--no-lower', '--no-numbers', '--no-symbols', '--no-ambiguous']
+});
+
+registerConsoleCommand('hash', {
+  description: 'Hash text with SHA-1, SHA-256 (default), SHA-384 or SHA-512',
+  usage: 'hash [sha-1|sha-256|sha-384|sha-512] <text>',
+  async run(args) {
+    const algorithm = toolkitDigests().includes(args[0]) ? args.shift() : 'sha-256';
+    if (!args.length) throw new Error('usage: hash [sha-1|sha-256|sha-384|sha-512] <text>');
+
+    const { output, error } = await runToolkitPipeline(args.join(' '), [algorithm]);
+    if (error) throw new Error(error);
+    return output;
+  },
+  complete: args => (args.length === 1 ? toolkitDigests() : [])
+});
+
+registerConsoleCommand('encode', toolkitCommand('encode', 'Encode text as Base64, Base64URL, hex, URL or HTML entities'));
+registerConsoleCommand('decode', toolkitCommand('decode', 'Decode Base64, Base64URL, hex, URL or HTML entities, or a JWT'));
+
+registerConsoleCommand('threats', {
+  description: 'Show threats SecurityAudit has detected this session',
+  usage: 'threats [count]',
+  async run(args, io) {
+    const audit = securityAuditInstance();
+    const count = consoleInteger(args[0], 5, 1, 100, 'count');
+
+    // Prefer the in-memory threat center; the journal may hold older sessions
+    let recent;
+    if (audit.threatCenter) {
+      recent = audit.threatCenter.items.slice(0, count).map(item => item.threat);
+    } else {
+      const { entries } = await audit.queryJournal({ kind: 'threat', pageSize: 0 });
+      recent = entries
+        .filter(entry => entry.sessionId === audit.state.sessionId)
+        .slice(-count)
+        .reverse();
+    }
+
+    io.print(`${audit.state.threatsDetected} threat(s) detected this session`);
+    recent.forEach(threat => {
+      const time = new Date(threat.timestamp).toLocaleTimeString();
+      io.print(`${time}  ${threat.severity.padEnd(8)}  ${threat.type}`, threat.severity === 'low' ? null : 'alert');
+    });
+  }
+});
+
+registerConsoleCommand('scan', {
+  description: 'Re-scan the page with SecurityAudit and grade its posture',
+  usage: 'scan',
+  run(args, io) {
+    const audit = securityAuditInstance();
+    const before = audit.state.threatsDetected;
+    audit.scanPage();
+    const found = audit.state.threatsDetected - before;
+
+    io.print(found ?
+      `Scan complete: ${found} new threat(s). Run 'threats' for details.` :
+      'Scan complete: no new threats.', found ? 'alert' : 'info');
+
+    if (typeof audit.assess === 'function') {
+      const { score, grade } = audit.assess();
+      io.print(`Posture score: ${score}/100 (grade ${grade})`);
+    }
+  }
+});
+
+registerConsoleCommand('theme', {
+  description: 'Show or switch the colour theme',
+  usage: 'theme [dark|light|toggle]',
+  run([theme]) {
+    const current = document.documentElement.getAttribute('data-theme') || 'dark';
+    if (!theme) return `Current theme: ${current}`;
+    if (theme === 'toggle') theme = current === 'dark' ? 'light' : 'dark';
+    if (theme !== 'dark' && theme !== 'light') throw new Error('usage: theme [dark|light|toggle]');
+
+    applyTheme(theme);
+    return `Theme set to ${theme}`;
+  },
+  complete: args => (args.length === 1 ? ['dark', 'light', 'toggle'] : [])
+});
+
+/**
+ * Terminal Animation Setup
+ * Each .terminal plays a script once it scrolls into view and pauses while
+ * the tab is hidden. The script comes from data-script (inline JSON array
+ * of steps), a <template> named by data-template or nested in the terminal
+ * (see parseTerminalTemplate), or the plain data-text string. data-prompt
+ * sets the starting prompt, data-speed the milliseconds per typed
+ * character, and data-controls="none" leaves out the Skip/Replay buttons.
+ */
+function setupTerminalEffects() {
+  const terminals = document.querySelectorAll('.terminal');
+  if (!terminals.length) return;
+
+  const players = new Map();
+  terminals.forEach(terminal => {
+    players.set(terminal, createTerminalPlayer(terminal, readTerminalScript(terminal)));
+  });
+
+  document.addEventListener('visibilitychange', function() {
+    players.forEach(player => (document.hidden ? player.pause() : player.resume()));
+  });
+
+  if (!('IntersectionObserver' in window)) {
+    players.forEach(player => player.start());
+    return;
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      observer.unobserve(entry.target);
+      players.get(entry.target).start();
+    });
+  }, {
+    threshold: CONFIG.animationThreshold
+  });
+
+  terminals.forEach(terminal => observer.observe(terminal));
+}
+
+/**
+ * Terminal Script Steps
+ * { type: 'prompt', text? }      new prompt line; `text` replaces the prompt
+ * { type: 'command', text }      typed after the prompt, then a short delay
+ * { type: 'type', text }         typed on the current line, no prompt
+ * { type: 'output', text }       printed at once; a bare string means this
+ * { type: 'pause', duration }    milliseconds
+ * { type: 'clear' }
+ * Typed steps accept `speed` and commands `delay`. Text may carry SGR
+ * colour codes (ESC[...m, written \e[ in scripts); see applySGR.
+ */
+const TERMINAL_STEP_TYPES = ['prompt', 'command', 'type', 'output', 'pause', 'clear'];
+
+function readTerminalScript(terminal) {
+  const json = terminal.getAttribute('data-script');
+  if (json) {
+    try {
+      const steps = JSON.parse(json);
+      if (!Array.isArray(steps)) throw new TypeError('expected an array of steps');
+      return steps.map(normalizeTerminalStep).filter(Boolean);
+    } catch (error) {
+      console.warn('[Terminal] Ignoring invalid data-script:', error.message);
+    }
+  }
+
+  let template = null;
+  const selector = terminal.getAttribute('data-template');
+  if (selector) {
+    try {
+      template = document.querySelector(selector);
+    } catch (error) {
+      console.warn('[Terminal] Ignoring invalid data-template:', error.message);
+    }
+  }
+  if (!template || template.tagName !== 'TEMPLATE') template = terminal.querySelector('template');
+  if (template && template.tagName === 'TEMPLATE') {
+    return parseTerminalTemplate(template.content.textContent);
+  }
+
+  const text = terminal.getAttribute('data-text');
+  return text ? [normalizeTerminalStep({ type: 'type', text })] : [];
+}
+
+function normalizeTerminalStep(step) {
+  if (typeof step === 'string') return { type: 'output', text: expandTerminalEscapes(step) };
+  if (!step || !TERMINAL_STEP_TYPES.includes(step.type)) return null;
+  return { ...step, text: expandTerminalEscapes(String(step.text ?? '')) };
+}
+
+// HTML can't hold a raw ESC, so scripts spell it \e[, \x1b[ or \u001b[
+function expandTerminalEscapes(text) {
+  return text.replace(/\\(?:e|x1b|u001b)\[/gi, '\u001b[');
+}
+
+/**
+ * Parse a Terminal Template
+ * One step per line, with the template's common indentation removed:
+ *   $ text          command
+ *   @prompt [text]  prompt line
+ *   @type text      typed text
+ *   @pause ms       pause
+ *   @clear          clear the screen
+ * Any other line is output; consecutive output lines form one block and a
+ * leading backslash keeps a line starting with $ or @ literal.
+ */
+function parseTerminalTemplate(source) {
+  if (!source.trim()) return [];
+
+  const lines = source.replace(/^\s*\n|\n\s*$/g, '').split('\n');
+  const indent = Math.min(...lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^\s*/)[0].length));
+
+  const steps = [];
+  lines.map(line => line.slice(indent)).forEach(line => {
+    const directive = /^@(prompt|type|pause|clear)\b\s?(.*)$/.exec(line);
+
+    if (line === '$' || line.startsWith('$ ')) {
+      steps.push({ type: 'command', text: line.slice(2) });
+    } else if (directive) {
+      const [, type, value] = directive;
+      steps.push(type === 'pause' ? { type, duration: Number(value) } : { type, text: value });
+    } else {
+      const text = line.startsWith('\\') ? line.slice(1) : line;
+      const last = steps[steps.length - 1];
+      if (last && last.type === 'output') {
+        last.text += `\n${text}`;
+      } else {
+        steps.push({ type: 'output', text });
+      }
+    }
+  });
+
+  return steps.map(normalizeTerminalStep).filter(Boolean);
+}
+
+const ANSI_COLOURS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+/**
+ * Split Text on ANSI Escape Sequences
+ * Returns { text, className } runs. `style` carries SGR state from one
+ * call to the next, as a real terminal would; sequences other than SGR
+ * are dropped.
+ */
+function parseANSI(text, style) {
+  const segments = [];
+  const pattern = /\u001b\[([\d;]*)([A-Za-z])/g;
+  let last = 0;
+  let match;
+
+  const push = end => {
+    if (end > last) segments.push({ text: text.slice(last, end), className: ansiClassName(style) });
+  };
+
+  while ((match = pattern.exec(text))) {
+    push(match.index);
+    if (match[2] === 'm') applySGR(style, match[1]);
+    last = pattern.lastIndex;
+  }
+  push(text.length);
+
+  return segments;
+}
+
+/**
+ * Apply SGR Parameters
+ * Supported: 0 reset, 1 bold, 2 dim, 4 underline, 22/24 to undo them,
+ * 30-37/90-97 foreground, 39 default foreground, 40-47 background and
+ * 49 default background.
+ */
+function applySGR(style, params) {
+  (params ? params.split(';').map(Number) : [0]).forEach(code => {
+    if (code === 0) {
+      Object.keys(style).forEach(key => delete style[key]);
+    } else if (code === 1) {
+      style.bold = true;
+    } else if (code === 2) {
+      style.dim = true;
+    } else if (code === 22) {
+      style.bold = false;
+      style.dim = false;
+    } else if (code === 4) {
+      style.underline = true;
+    } else if (code === 24) {
+      style.underline = false;
+    } else if (code >= 30 && code <= 37) {
+      style.fg = ANSI_COLOURS[code - 30];
+    } else if (code >= 90 && code <= 97) {
+      style.fg = `bright-${ANSI_COLOURS[code - 90]}`;
+    } else if (code === 39) {
+      style.fg = null;
+    } else if (code >= 40 && code <= 47) {
+      style.bg = ANSI_COLOURS[code - 40];
+    } else if (code === 49) {
+      style.bg = null;
+    }
+  });
+}
+
+function ansiClassName(style) {
+  return [
+    style.bold && 'ansi-bold',
+    style.dim && 'ansi-dim',
+    style.underline && 'ansi-underline',
+    style.fg && `ansi-${style.fg}`,
+    style.bg && `ansi-bg-${style.bg}`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Terminal Player
+ * Renders `steps` into the terminal. Every delay goes through wait(), so
+ * pause() can freeze playback mid-character, skip() can flush it and
+ * replay() can abandon it: each run has an id and stops once it is stale.
+ */
+function createTerminalPlayer(terminal, steps) {
+  const speed = Number(terminal.getAttribute('data-speed')) || CONFIG.terminalTypeSpeed;
+  const initialPrompt = terminal.getAttribute('data-prompt') || '$';
+
+  const screen = document.createElement('div');
+  screen.className = 'terminal-screen';
+  const cursor = document.createElement('span');
+  cursor.className = 'cursor';
+  cursor.textContent = '|';
+
+  terminal.textContent = '';
+  terminal.appendChild(screen);
+
+  let skipButton = null;
+  let replayButton = null;
+  if (terminal.getAttribute('data-controls') !== 'none') {
+    const controls = document.createElement('div');
+    controls.className = 'terminal-controls';
+    skipButton = document.createElement('button');
+    skipButton.type = 'button';
+    skipButton.className = 'terminal-skip';
+    skipButton.textContent = 'Skip';
+    skipButton.addEventListener('click', skip);
+    replayButton = document.createElement('button');
+    replayButton.type = 'button';
+    replayButton.className = 'terminal-replay';
+    replayButton.textContent = 'Replay';
+    replayButton.hidden = true;
+    replayButton.addEventListener('click', play);
+    controls.append(skipButton, replayButton);
+    terminal.appendChild(controls);
+  }
+
+  let run = 0;
+  let started = false;
+  let paused = false;
+  let skipping = false;
+  let pending = null;
+  let prompt = initialPrompt;
+  let style = {};
+  let line = null;
+  let promptLine = null;
+
+  function wait(ms, id) {
+    if (skipping || id !== run) return Promise.resolve();
+    return new Promise(resolve => {
+      pending = { resolve, remaining: ms, timer: null, since: 0 };
+      if (!paused) schedule();
+    });
+  }
+
+  function schedule() {
+    const current = pending;
+    current.since = Date.now();
+    current.timer = setTimeout(() => {
+      if (pending === current) pending = null;
+      current.resolve();
+    }, current.remaining);
+  }
+
+  function flush() {
+    if (!pending) return;
+    const { resolve, timer } = pending;
+    clearTimeout(timer);
+    pending = null;
+    resolve();
+  }
+
+  function newLine() {
+    line = document.createElement('div');
+    line.className = 'terminal-line';
+    line.appendChild(cursor);
+    screen.appendChild(line);
+    promptLine = null;
+  }
+
+  function append(className) {
+    const span = document.createElement('span');
+    if (className) span.className = className;
+    line.insertBefore(span, cursor);
+    return span;
+  }
+
+  function print(text, extraClass) {
+    parseANSI(text, style).forEach(segment => {
+      append([extraClass, segment.className].filter(Boolean).join(' ')).textContent = segment.text;
+    });
+  }
+
+  async function type(text, stepSpeed, id) {
+    if (!line) newLine();
+    promptLine = null;
+
+    for (const segment of parseANSI(text, style)) {
+      const span = append(segment.className);
+      for (const char of segment.text) {
+        span.textContent += char;
+        screen.scrollTop = screen.scrollHeight;
+        await wait(stepSpeed, id);
+        if (id !== run) return;
+      }
+    }
+  }
+
+  function showPrompt() {
+    newLine();
+    print(`${prompt} `, 'terminal-prompt');
+    promptLine = line;
+  }
+
+  async function runStep(step, id) {
+    switch (step.type) {
+      case 'prompt':
+        if (step.text) prompt = step.text;
+        showPrompt();
+        break;
+      case 'command':
+        if (!promptLine) showPrompt();
+        await type(step.text, Number(step.speed) || speed, id);
+        await wait(step.delay ?? CONFIG.terminalStepDelay, id);
+        break;
+      case 'type':
+        await type(step.text, Number(step.speed) || speed, id);
+        break;
+      case 'output':
+        newLine();
+        print(step.text);
+        break;
+      case 'pause':
+        await wait(Number(step.duration) || 0, id);
+        break;
+      case 'clear':
+        screen.textContent = '';
+        line = null;
+        promptLine = null;
+        break;
+    }
+    screen.scrollTop = screen.scrollHeight;
+  }
+
+  function updateControls(finished) {
+    if (skipButton) skipButton.hidden = finished;
+    if (replayButton) replayButton.hidden = !finished;
+  }
+
+  async function play() {
+    const id = ++run;
+    flush();
+    started = true;
+    skipping = false;
+    paused = document.hidden;
+    prompt = initialPrompt;
+    style = {};
+    line = null;
+    promptLine = null;
+    screen.textContent = '';
+    updateControls(false);
+
+    for (const step of steps) {
+      await runStep(step, id);
+      if (id !== run) return;
+    }
+
+    if (!line) newLine();
+    updateControls(true);
+  }
+
+  function skip() {
+    if (!started) play();
+    skipping = true;
+    flush();
+  }
+
+  return {
+    start() {
+      if (!started) play();
+    },
+    pause() {
+      if (paused) return;
+      paused = true;
+      if (pending && pending.timer !== null) {
+        clearTimeout(pending.timer);
+        pending.timer = null;
+        pending.remaining = Math.max(0, pending.remaining - (Date.now() - pending.since));
+      }
+    },
+    resume() {
+      if (!paused) return;
+      paused = false;
+      if (pending) schedule();
+    },
+    skip,
+    replay: play
+  };
+}
+
+/**
+ * Password Generator Setup
+ * Markup hooks inside .password-generator (only the output is required):
+ * .password-output, .length-slider/.length-value, #include-upper,
+ * #include-lower, #include-numbers, #include-symbols, #exclude-ambiguous,
+ * [name="generator-mode"] radios (password | passphrase), .word-count/
+ * .word-count-value, .separator-input, .capitalize-select, .bulk-count,
+ * .bulk-output, .entropy-meter and .entropy-value
+ */
+function setupPasswordGenerator() {
+  const generator = document.querySelector('.password-generator');
+  if (!generator) return;
+
+  const output = generator.querySelector('.password-output');
+  const lengthSlider = generator.querySelector('.length-slider');
+  const lengthValue = generator.querySelector('.length-value');
+  const wordCount = generator.querySelector('.word-count');
+  const wordCountValue = generator.querySelector('.word-count-value');
+  const bulkCount = generator.querySelector('.bulk-count');
+  const bulkOutput = generator.querySelector('.bulk-output');
+  const entropyMeter = generator.querySelector('.entropy-meter');
+  const entropyValue = generator.querySelector('.entropy-value');
+  const generateBtn = generator.querySelector('.generate-btn');
+  const copyBtn = generator.querySelector('.copy-btn');
+
+  const checked = (selector, fallback) => {
+    const input = generator.querySelector(selector);
+    return input ? input.checked : fallback;
+  };
+
+  function readOptions() {
+    const mode = generator.querySelector('[name="generator-mode"]:checked');
+    const separator = generator.querySelector('.separator-input');
+    const capitalize = generator.querySelector('.capitalize-select');
+
+    return {
+      mode: mode ? mode.value : 'password',
+      length: lengthSlider ? Number(lengthSlider.value) : 16,
+      upper: checked('#include-upper', true),
+      lower: checked('#include-lower', true),
+      numbers: checked('#include-numbers', true),
+      symbols: checked('#include-symbols', true),
+      excludeAmbiguous: checked('#exclude-ambiguous', false),
+      words: wordCount ? Number(wordCount.value) : 6,
+      separator: separator ? separator.value : '-',
+      capitalize: capitalize ? capitalize.value : 'none'
+    };
+  }
+
+  function updateMeter() {
+    const options = readOptions();
+    if (lengthValue && lengthSlider) lengthValue.textContent = lengthSlider.value;
+    if (wordCountValue && wordCount) wordCountValue.textContent = wordCount.value;
+
+    generator.querySelectorAll('[data-generator-mode]').forEach(group => {
+      group.hidden = group.getAttribute('data-generator-mode') !== options.mode;
+    });
+
+    const bits = Math.round(generatorEntropy(options));
+    const strength = entropyStrength(bits);
+    if (entropyMeter) {
+      entropyMeter.value = Math.min(bits, 128);
+      entropyMeter.setAttribute('data-strength', strength.id);
+    }
+    if (entropyValue) entropyValue.textContent = `${bits} bits · ${strength.label}`;
+  }
+
+  // Update length display and entropy
+  generator.addEventListener('input', updateMeter);
+  generator.addEventListener('change', updateMeter);
+  updateMeter();
+
+  // Generate password
+  generateBtn?.addEventListener('click', function() {
+    const options = readOptions();
+    const count = bulkCount ? Math.min(Math.max(Number(bulkCount.value) || 1, 1), 100) : 1;
+    const results = generateSecrets(options, count);
+
+    output.value = results[0] || '';
+    if (bulkOutput) {
+      bulkOutput.value = results.join('\n');
+      bulkOutput.hidden = count < 2;
+    }
+  });
+
+  // Copy to clipboard
+  copyBtn?.addEventListener('click', function() {
+    if (!output.value) return;
+    
+    output.select();
+    document.execCommand('copy');
+    
+    const originalText = copyBtn.innerHTML;
+    setHTML(copyBtn, '<i class="fas fa-check"></i> Copied!', 'setupPasswordGenerator');
+    
+    setTimeout(() => {
+      setHTML(copyBtn, originalText, 'setupPasswordGenerator');
+    }, 2000);
+  });
+}
+
+const PASSWORD_CHARSETS = {
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  numbers: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+};
+
+// Characters that are easily confused when read aloud or retyped
+const AMBIGUOUS_CHARACTERS = 'Il1|O0o`\'".,;:{}[]()';
+
+/**
+ * Unbiased Random Integer in [0, max)
+ * Values from the top partial range of 2^32 are rejected so that every
+ * result is equally likely (plain modulo favours small numbers).
+ */
+function secureRandomInt(max) {
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buffer = new Uint32Array(1);
+
+  do {
+    crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+
+  return buffer[0] % max;
+}
+
+function secureShuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = secureRandomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+function passwordCharsets({ upper, lower, numbers, symbols, excludeAmbiguous }) {
+  return Object.entries({ upper, lower, numbers, symbols })
+    .filter(([, enabled]) => enabled)
+    .map(([name]) => excludeAmbiguous ?
+      Array.from(PASSWORD_CHARSETS[name]).filter(char => !AMBIGUOUS_CHARACTERS.includes(char)).join('') :
+      PASSWORD_CHARSETS[name]);
+}
+
+/**
+ * Generate Random Password
+ * One character from every selected class, the rest from their union, in
+ * shuffled order.
+ */
+function generatePassword(options) {
+  const charsets = passwordCharsets(options);
+  if (!charsets.length) return '';
+
+  const pool = charsets.join('');
+  const length = Math.max(Number(options.length) || 0, charsets.length);
+  const chars = charsets.map(charset => charset[secureRandomInt(charset.length)]);
+
+  while (chars.length < length) {
+    chars.push(pool[secureRandomInt(pool.length)]);
+  }
+
+  return secureShuffle(chars).join('');
+}
+
+/**
+ * Generate Passphrase
+ * `capitalize` is 'none', 'first' (every word) or 'random' (each word by
+ * coin flip, one extra bit per word).
+ */
+function generatePassphrase({ words = 6, separator = '-', capitalize = 'none' } = {}) {
+  const picked = [];
+  for (let i = 0; i < words; i++) {
+    let word = PASSPHRASE_WORDLIST[secureRandomInt(PASSPHRASE_WORDLIST.length)];
+    if (capitalize === 'first' || (capitalize === 'random' && secureRandomInt(2))) {
+      word = word.charAt(0).toUpperCase() + word.slice(1);
+    }
+    picked.push(word);
+  }
+  return picked.join(separator);
+}
 
-  // Set initial icon
-  themeSwitcher.innerHTML = currentTheme === 'dark' ? 
-    '<i class="fas fa-moon"></i>' : '<i class="fas fa-sun"></i>';
+function generateSecrets(options, count = 1) {
+  const generate = options.mode === 'passphrase' ? generatePassphrase : generatePassword;
+  return Array.from({ length: count }, () => generate(options));
 }
 
 /**
- * Security Console Effect
+ * Entropy of the Generator's Output in Bits
  */
-function setupSecurityConsole() {
-  const consoleElement = document.querySelector('.security-console');
-  if (!consoleElement) return;
+function generatorEntropy(options) {
+  if (options.mode === 'passphrase') {
+    const perWord = Math.log2(PASSPHRASE_WORDLIST.length) + (options.capitalize === 'random' ? 1 : 0);
+    return (Number(options.words) || 0) * perWord;
+  }
 
-  const messages = [
-    "Initializing security protocols...",
-    "Scanning network interfaces...",
-    "Firewall: ACTIVE",
-    "Intrusion detection: ENABLED",
-    "All systems operational",
-    "Welcome to CyberEmpireX"
-  ];
+  const charsets = passwordCharsets(options);
+  if (!charsets.length) return 0;
+  const length = Math.max(Number(options.length) || 0, charsets.length);
+  return length * Math.log2(charsets.join('').length);
+}
 
-  let index = 0;
-  consoleElement.textContent = "> ";
+function entropyStrength(bits) {
+  if (bits < 28) return { id: 'very-weak', label: 'very weak' };
+  if (bits < 36) return { id: 'weak', label: 'weak' };
+  if (bits < 60) return { id: 'fair', label: 'fair' };
+  if (bits < 128) return { id: 'strong', label: 'strong' };
+  return { id: 'very-strong', label: 'very strong' };
+}
 
-  const typeWriter = () => {
-    if (index < messages.length) {
-      const message = messages[index];
-      let charIndex = 0;
-      
-      const typing = setInterval(() => {
-        if (charIndex < message.length) {
-          consoleElement.textContent += message.charAt(charIndex);
-          charIndex++;
-          consoleElement.scrollTop = consoleElement.scrollHeight;
-        } else {
-          clearInterval(typing);
-          setTimeout(() => {
-            consoleElement.textContent += "\n> ";
-            index++;
-            typeWriter();
-          }, 1000);
-        }
-      }, 50);
-    } else {
-      // Loop the animation
-      index = 0;
-      setTimeout(() => {
-        consoleElement.textContent = "> ";
-        typeWriter();
-      }, 3000);
+/**
+ * Passphrase Wordlist
+ * 1296 (6^4) short, common words; no word is a prefix of another, so
+ * passphrases stay unambiguous even without a separator.
+ */
+const PASSPHRASE_WORDLIST = `
+able about above acid acorn actor adapt admit adult advice after again agent agree ahead aim air
+alarm album alert alien alley allow almond alone alpha amber amuse anchor angel angle animal
+ankle answer antler apple apron arcade arch arena argue armor army arrow artist ash aspen atlas
+atom attic audio aunt autumn avenue awake award axis baby bacon badge bag bake balance ball
+bamboo banana band bank banner barn barrel base basin basket bath beach beacon bead beam bean
+beard beast beaver bed beef beetle begin bell belt bench berry bike bird birth bison black blade
+blank blast blaze blend bless blink bliss block bloom blue blush board boat body boil bold bolt
+bone bonus book boost boot border boss bottle bounce bowl box brain branch brass brave bread
+break breeze brick bridge brief bright bring brisk broad bronze brook broom brown brush bubble
+bucket buddy buffalo build bulb bull bunch bundle bunny burger burst bush butter button buyer
+buzz cabin cable cactus cage cake calm camel camera camp canal candle candy canoe canvas canyon
+cape card cargo carpet carrot cart carve case cash castle catch cattle cause cave cedar cellar
+cement cereal chain chair chalk champ change charm chart chase cheap check cheek cheer cheese
+chef cherry chess chest chick chief child chili chill chin chip choice choir chord chorus cider
+cinema circle city civil claim clam clap clash class claw clay clean clerk click cliff climb
+clock close cloth cloud clover clown club clue coach coal coast coat cocoa coconut code coffee
+coin cold comet comic cookie cool copper coral cord corner cotton couch count couple course
+court cousin cover cow coyote crab crack craft crane crash crate crayon cream creek crew cricket
+crisp crop cross crowd crown cruise crumb crush crust cube cup curve cushion custom cycle daily
+dairy daisy dance dare dark dash data date dawn deal decade deer defend delay delta denim depth
+desert design desk dial diary dinner direct dish dive dock doctor dog dollar dolphin donkey
+donut door double dough dove draft dragon drama drawer dream dress drift drill drink drive drum
+dry duck dune dust duty dwarf eager eagle early earth easel east echo edge elbow elder elite elk
+elm ember empty energy engine enjoy enter entry equal erase escape essay event exact exit exotic
+expert extra fabric face fact fade fair faith falcon fame family fancy farm fashion feast
+feather fence ferry fiber field figure film final finch finger fire firm first fish fist flag
+flame flash flat flavor fleet flight float flock flood floor flour flower fluid flute foam focus
+fog foil folk food foot forest forge fork fort forum fossil fox frame fresh fridge friend frog
+frost fruit fuel funny fur future gadget galaxy game garage garden garlic gate gather gauge gear
+gecko gem gentle ghost giant gift ginger giraffe glad glass globe glove glow glue goal goat gold
+golf good goose grace grain grape graph grass gravel gravy great green grid grill grin grip
+group grove grow guard guess guest guide guitar gulf gum habit hair half hall hammer hand happy
+harbor hard harp harvest hat hawk hazel head health heart heat heavy hedge height hello helmet
+help herb heron hill hint hippo hobby hockey holiday hollow home honey hood hook hope horn horse
+host hotel hour house hover human humor hunt hurry ice icon idea igloo image impact inch index
+ink inner input insect inside invite iron island item ivory ivy jacket jaguar jam jar jazz jeans
+jelly jewel job jog join joke journal joy judge juice jump jungle junior jury kayak keen kettle
+key kick kid king kiosk kite kitten kiwi knee knife knock knot koala label lace ladder lady lake
+lamb lamp land lane laptop large laser latch later laugh lava lawn layer leaf lean learn leather
+lemon lens leopard letter level lever light lilac lily limb lime limit linen lion liquid list
+little live lizard llama load loaf lobster local lock lodge logic long loop lotus loud lounge
+love lucky lumber lunar lunch machine magic magnet mail major mammal mango manor maple marble
+margin marine market mask mason match math maze meadow meal medal melody melon member memory
+mentor menu mercy merit mesh metal meteor middle mild milk mill mimic mind mine mint minute
+mirror mist mitten mixer model modern moment money monkey month moon moose morning mosaic moss
+motor mountain mouse mouth movie muffin mule muscle museum music nail name napkin narrow nation
+native nature navy near neat neck nectar needle nephew nerve nest net never new next nickel
+night noble noise noodle north nose note novel number nurse nut nylon oak oasis object ocean odd
+offer office olive omega onion open opera orange orbit orchid order organ otter ounce outer oval
+oven owl owner oxygen oyster pack paddle page paint pair palace palm panda panel paper parade
+parent park parrot party pasta path patio pause peace peach peanut pearl pebble pecan pedal
+pencil people pepper piano pickle picnic piece pier pigeon pillow pilot pine pink pipe pirate
+pitch pizza place plain planet plant plate play plaza pledge plenty plot plum plus pocket poem
+poet point polar pond pony pool poppy porch portal post potato pottery powder power praise press
+pretty price pride prince print prism prize proof proud prune public pulse pumpkin punch pupil
+puppy purple puzzle quail quarter queen quest quick quiet quilt quiz quote rabbit raccoon race
+radar radio raft rail rainbow raisin rally ramp ranch random range rapid raven razor ready
+recipe record red reef relax relay remote rent repair reply rescue rhythm ribbon rice rich ride
+ridge ring ripple rise river road robin robot rocket roof room root rope rose rough round route
+royal rubber ruby rug rule runner rural rush rust saddle safari safe sail salad salmon salt
+sample sandal satin sauce save scale scarf scene school science scoop scout scrap screen script
+seal season seat second secret seed senior sense shade shadow shape share shark sharp sheep
+shelf shell shield shift shine ship shirt shoe shore short shovel shower shrimp shrub shy signal
+silent silk silver simple singer siren sister sketch skill skirt sky slate sled sleep slice
+slide slope slow small smart smile smoke snack snail snake snow soap soccer socket sofa soft
+solar solid sonic soup south space spark sparrow speak spear speed spell spice spider spike spin
+spirit split sponge spoon sport spot spray spring sprout spruce square squid stable stadium
+staff stage stairs stamp stand start state statue steam steel stem step stereo stick still stone
+stool storm story stove straw stream street strong studio style sugar suit summer summit sunny
+supper supply surf surge swamp swan sweater sweet swift swing switch sword symbol syrup tablet
+tackle tail talent tango tank tape target taste taxi teach team teapot teeth temple tennis tent
+test text thank thick thing thorn thread thunder ticket tide tiger timber time tiny title toast
+today token tomato tongue tool tooth topic torch total tower town toy track trade trail train
+trap tray treat tree trend trial tribe trick trip trophy truck trumpet trunk trust truth tube
+tulip tuna tunnel turkey turn turtle tutor twig twin type umbrella uncle under unicorn union
+unique unit upper urban useful usual vacuum valid valley value valve vapor vase vault velvet
+vendor venue verse vessel vest video view village vine violin visit visor vital vivid vocal
+voice volume vote voyage wagon waist walk wall walnut walrus wander warm wash wasp water wave
+wax wealth weasel weather web wedge week well west whale wheat wheel whip whisk white wide
+widget wild willow window wine wing winter wire wise wish wizard wolf wonder wood wool word work
+world worm wrap wreath wrist write yacht yard yarn year yellow yoga yogurt young youth yummy
+zebra zero zigzag zinc zipper zone zoom
+`.trim().split(/\s+/);
+
+/**
+ * Password Strength Analyzer Setup
+ * Runs entirely in the browser; the password is never logged, stored or
+ * sent. Markup hooks inside .password-strength: .strength-input (required),
+ * .strength-meter, .strength-label, .strength-entropy,
+ * .strength-crack-times and .strength-feedback
+ */
+function setupPasswordStrength() {
+  const analyzer = document.querySelector('.password-strength');
+  if (!analyzer) return;
+
+  const input = analyzer.querySelector('.strength-input');
+  const meter = analyzer.querySelector('.strength-meter');
+  const label = analyzer.querySelector('.strength-label');
+  const entropy = analyzer.querySelector('.strength-entropy');
+  const crackTimes = analyzer.querySelector('.strength-crack-times');
+  const feedback = analyzer.querySelector('.strength-feedback');
+
+  // Spellcheck services and autofill would see what is typed here
+  input.setAttribute('autocomplete', 'off');
+  input.setAttribute('autocapitalize', 'off');
+  input.spellcheck = false;
+
+  function fillList(list, items) {
+    if (!list) return;
+    list.replaceChildren(...items.map(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      return item;
+    }));
+  }
+
+  input.addEventListener('input', function() {
+    const result = analyzePassword(input.value);
+    const empty = !input.value;
+
+    if (meter) {
+      meter.value = empty ? 0 : result.score + 1;
+      meter.setAttribute('data-score', empty ? '' : result.score);
+    }
+    if (label) label.textContent = empty ? '' : STRENGTH_LABELS[result.score];
+    if (entropy) {
+      entropy.textContent = empty ? '' :
+        `~${Math.round(result.effectiveBits)} bits effective (${Math.round(result.charsetBits)} bits by character set alone)`;
+    }
+    fillList(crackTimes, empty ? [] : result.crackTimes.map(time => `${time.label}: ${time.display}`));
+    fillList(feedback, empty ? [] : [result.feedback.warning, ...result.feedback.suggestions].filter(Boolean));
+  });
+}
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Guesses per second
+const ATTACK_MODELS = [
+  { id: 'online-throttled', label: 'Online, rate limited (100/hour)', rate: 100 / 3600 },
+  { id: 'online', label: 'Online, no rate limit (10/s)', rate: 10 },
+  { id: 'offline-slow', label: 'Offline, slow hash like bcrypt (10k/s)', rate: 1e4 },
+  { id: 'offline-fast', label: 'Offline, fast hash on GPUs (10B/s)', rate: 1e10 }
+];
+
+const L33T_SUBSTITUTIONS = {
+  '4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '9': 'g',
+  '1': 'i', '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+const KEYBOARD_ROWS = [
+  ['`1234567890-=', '~!@#$%^&*()_+'],
+  ['qwertyuiop[]\\', 'QWERTYUIOP{}|'],
+  ['asdfghjkl;\'', 'ASDFGHJKL:"'],
+  ['zxcvbnm,./', 'ZXCVBNM<>?']
+];
+
+/**
+ * Position of a key on a staggered QWERTY layout, shifted or not
+ */
+function keyboardPosition(char) {
+  for (let row = 0; row < KEYBOARD_ROWS.length; row++) {
+    const column = KEYBOARD_ROWS[row].map(keys => keys.indexOf(char)).find(index => index !== -1);
+    if (column !== undefined) return { row, column };
+  }
+  return null;
+}
+
+function keysAdjacent(a, b) {
+  const from = keyboardPosition(a);
+  const to = keyboardPosition(b);
+  if (!from || !to || a.toLowerCase() === b.toLowerCase()) return false;
+
+  const rows = to.row - from.row;
+  const columns = to.column - from.column;
+  if (rows === 0) return Math.abs(columns) === 1;
+  // Each row sits half a key to the right of the one above it
+  if (rows === 1) return columns === 0 || columns === -1;
+  if (rows === -1) return columns === 0 || columns === 1;
+  return false;
+}
+
+function binomial(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+  return result;
+}
+
+// Extra guesses an attacker spends on capitalisation: none, first letter
+// or all caps are tried first
+function uppercaseVariations(token) {
+  if (token === token.toLowerCase() || /^[A-Z][^A-Z]+$/.test(token) || token === token.toUpperCase()) {
+    return token === token.toLowerCase() ? 1 : 2;
+  }
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += binomial(upper + lower, i);
+  return variations;
+}
+
+let strengthDictionary = null;
+
+function passwordDictionary() {
+  if (!strengthDictionary) {
+    strengthDictionary = new Map();
+    [...COMMON_PASSWORDS, ...PASSPHRASE_WORDLIST].forEach(word => {
+      if (!strengthDictionary.has(word)) strengthDictionary.set(word, strengthDictionary.size + 1);
+    });
+  }
+  return strengthDictionary;
+}
+
+function dictionaryMatches(password) {
+  const dictionary = passwordDictionary();
+  const lower = password.toLowerCase();
+  const unleeted = Array.from(lower, char => L33T_SUBSTITUTIONS[char] || char).join('');
+  const reversed = Array.from(lower).reverse().join('');
+  const matches = [];
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 2; j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      const variations = uppercaseVariations(token);
+      const plain = lower.slice(i, j + 1);
+      const substituted = unleeted.slice(i, j + 1);
+      const backwards = reversed.slice(password.length - 1 - j, password.length - i);
+
+      if (dictionary.has(plain)) {
+        const rank = dictionary.get(plain);
+        matches.push({ pattern: rank <= COMMON_PASSWORDS.length ? 'common' : 'dictionary', i, j, guesses: rank * variations });
+      } else if (substituted !== plain && dictionary.has(substituted)) {
+        const subs = Array.from(plain).filter((char, index) => char !== substituted[index]).length;
+        matches.push({ pattern: 'l33t', i, j, guesses: dictionary.get(substituted) * variations * 2 ** subs });
+      } else if (dictionary.has(backwards)) {
+        matches.push({ pattern: 'reversed', i, j, guesses: dictionary.get(backwards) * variations * 2 });
+      }
+    }
+  }
+  return matches;
+}
+
+function keyboardMatches(password) {
+  const matches = [];
+  let start = 0;
+
+  for (let k = 1; k <= password.length; k++) {
+    if (k < password.length && keysAdjacent(password[k - 1], password[k])) continue;
+    const length = k - start;
+    if (length >= 3) {
+      const shifted = Array.from(password.slice(start, k)).filter(char => /[~!@#$%^&*()_+{}|:"<>?A-Z]/.test(char)).length;
+      // ~47 starting keys, ~4 neighbours per step
+      matches.push({ pattern: 'keyboard', i: start, j: k - 1, guesses: 47 * 4 ** (length - 1) * (shifted ? 2 : 1) });
     }
+    start = k;
+  }
+  return matches;
+}
+
+function sequenceMatches(password) {
+  const matches = [];
+  const charClass = char => (/[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /\d/.test(char) ? 'digit' : null);
+  const flush = (start, end, delta) => {
+    const length = end - start + 1;
+    if (length < 3) return;
+    const first = password[start];
+    const base = /[az19]/i.test(first) ? 4 : /\d/.test(first) ? 10 : 26;
+    matches.push({ pattern: 'sequence', i: start, j: end, guesses: base * length * (delta < 0 ? 2 : 1) });
   };
 
-  typeWriter();
+  let start = 0;
+  let delta = null;
+  for (let k = 1; k < password.length; k++) {
+    const step = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    const linked = Math.abs(step) === 1 && charClass(password[k]) !== null &&
+      charClass(password[k]) === charClass(password[k - 1]);
+    if (linked && (delta === null || step === delta)) {
+      delta = step;
+      continue;
+    }
+
+    flush(start, k - 1, delta);
+    // The pair that broke the run may start the next one ("abcba")
+    start = linked ? k - 1 : k;
+    delta = linked ? step : null;
+  }
+  flush(start, password.length - 1, delta);
+  return matches;
+}
+
+function repeatMatches(password) {
+  const matches = [];
+  const repeat = /(.+?)\1+/g;
+  let found;
+
+  while ((found = repeat.exec(password))) {
+    const unit = found[1];
+    const count = found[0].length / unit.length;
+    matches.push({
+      pattern: 'repeat',
+      i: found.index,
+      j: found.index + found[0].length - 1,
+      guesses: 2 ** estimateBits(unit) * count
+    });
+  }
+  return matches;
+}
+
+function dateMatches(password) {
+  const matches = [];
+  const thisYear = new Date().getFullYear();
+  const yearSpace = year => Math.max(Math.abs(year - thisYear), 20);
+
+  for (const found of password.matchAll(/(?:19|20)\d\d/g)) {
+    matches.push({ pattern: 'date', i: found.index, j: found.index + 3, guesses: yearSpace(Number(found[0])) });
+  }
+
+  const dated = /(\d{1,4})([\s/\\_.-]?)(\d{1,2})\2(\d{2,4})/g;
+  for (const found of password.matchAll(dated)) {
+    const parts = [found[1], found[3], found[4]].map(Number);
+    const year = found[1].length === 4 ? parts[0] : parts[2];
+    const rest = found[1].length === 4 ? parts.slice(1) : parts.slice(0, 2);
+    const validDay = rest.some(part => part >= 1 && part <= 31);
+    const validMonth = rest.some(part => part >= 1 && part <= 12);
+    if (!validDay || !validMonth || (year > 99 && (year < 1900 || year > 2099))) continue;
+
+    const fullYear = year < 100 ? (year > thisYear % 100 ? 1900 : 2000) + year : year;
+    matches.push({
+      pattern: 'date',
+      i: found.index,
+      j: found.index + found[0].length - 1,
+      guesses: yearSpace(fullYear) * 365 * (found[2] ? 4 : 1)
+    });
+  }
+  return matches;
 }
 
 /**
- * Terminal Typing Effect
+ * Bits if every character were drawn at random from the classes present
+ * (the generator's own entropy formula)
  */
-function setupTerminalEffects() {
-  const terminals = document.querySelectorAll('.terminal');
-  if (!terminals.length) return;
+function charsetEntropy(password) {
+  return generatorEntropy({
+    mode: 'password',
+    length: password.length,
+    upper: /[A-Z]/.test(password),
+    lower: /[a-z]/.test(password),
+    numbers: /\d/.test(password),
+    symbols: /[^A-Za-z0-9]/.test(password)
+  });
+}
 
-  terminals.forEach(terminal => {
-    const text = terminal.getAttribute('data-text') || '';
-    terminal.textContent = '';
-    let charIndex = 0;
-    
-    const typing = setInterval(() => {
-      if (charIndex < text.length) {
-        terminal.textContent += text.charAt(charIndex);
-        charIndex++;
-      } else {
-        clearInterval(typing);
-        // Add blinking cursor
-        terminal.innerHTML += '<span class="cursor">|</span>';
+function estimateBits(password) {
+  return minimumGuessPath(password).bits;
+}
+
+/**
+ * Cheapest way to cover the password with pattern matches and
+ * brute-forced characters, in bits (log2 of guesses)
+ */
+function minimumGuessPath(password) {
+  const bitsPerChar = password.length ? charsetEntropy(password) / password.length : 0;
+  const matches = [
+    ...dictionaryMatches(password),
+    ...keyboardMatches(password),
+    ...sequenceMatches(password),
+    ...(password.length > 1 ? repeatMatches(password) : []),
+    ...dateMatches(password)
+  ];
+
+  const best = [{ bits: 0, path: [] }];
+  for (let k = 1; k <= password.length; k++) {
+    best[k] = { bits: best[k - 1].bits + bitsPerChar, path: best[k - 1].path };
+    matches.filter(match => match.j === k - 1).forEach(match => {
+      const bits = best[match.i].bits + Math.log2(Math.max(match.guesses, 1));
+      if (bits < best[k].bits) best[k] = { bits, path: [...best[match.i].path, match] };
+    });
+  }
+  return best[password.length];
+}
+
+/**
+ * Analyse a Password
+ * Returns a 0-4 score, guesses, crack times per attack model and feedback.
+ */
+function analyzePassword(password) {
+  const text = String(password).slice(0, 100);
+  const charsetBits = charsetEntropy(text);
+  const { bits, path } = minimumGuessPath(text);
+  const effectiveBits = Math.min(bits, charsetBits);
+  const guesses = 2 ** effectiveBits;
+  const log10 = Math.log10(guesses);
+  const score = log10 < 3 ? 0 : log10 < 6 ? 1 : log10 < 8 ? 2 : log10 < 10 ? 3 : 4;
+
+  return {
+    score,
+    label: STRENGTH_LABELS[score],
+    guesses,
+    charsetBits,
+    effectiveBits,
+    crackTimes: ATTACK_MODELS.map(model => {
+      const seconds = guesses / model.rate;
+      return { ...model, seconds, display: formatDuration(seconds) };
+    }),
+    patterns: path.map(({ pattern, i, j }) => ({ pattern, i, j })),
+    feedback: passwordFeedback(text, path, score)
+  };
+}
+
+function passwordFeedback(password, path, score) {
+  if (score >= 3) return { warning: '', suggestions: [] };
+
+  const patterns = new Set(path.map(match => match.pattern));
+  const suggestions = [];
+  let warning = '';
+
+  if (patterns.has('common')) {
+    warning = 'This is one of the most commonly used passwords.';
+  } else if (patterns.has('keyboard')) {
+    warning = 'Keyboard walks like "qwerty" or "zxcvb" are among the first things tried.';
+  } else if (patterns.has('l33t')) {
+    warning = 'Predictable substitutions like "@" for "a" do not fool cracking tools.';
+  } else if (patterns.has('dictionary') || patterns.has('reversed')) {
+    warning = path.length === 1 ? 'A single word is easy to guess.' : 'Dictionary words are guessed long before random characters.';
+  } else if (patterns.has('repeat')) {
+    warning = 'Repeats like "aaa" or "abcabc" add very little.';
+  } else if (patterns.has('sequence')) {
+    warning = 'Sequences like "abc" or "6543" are easy to guess.';
+  } else if (patterns.has('date')) {
+    warning = 'Dates and years are easy to guess, especially ones tied to you.';
+  }
+
+  if (password.length < 12) suggestions.push('Use at least 12 characters; length matters more than symbols.');
+  if (patterns.has('date')) suggestions.push('Avoid years and dates that are associated with you.');
+  if (/^[A-Z][^A-Z]*$/.test(password)) suggestions.push('Capitalising only the first letter barely helps.');
+  if (patterns.has('dictionary') || patterns.has('common') || patterns.has('l33t')) {
+    suggestions.push('Add more unrelated words; uncommon ones are better.');
+  }
+  suggestions.push('Try the generator\'s passphrase mode: six random words give about 62 bits.');
+  suggestions.push('Use a password manager so every site gets a different password.');
+
+  return { warning, suggestions };
+}
+
+function formatDuration(seconds) {
+  const units = [
+    ['century', 100 * 365.25 * 86400],
+    ['year', 365.25 * 86400],
+    ['month', 30.44 * 86400],
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+  ];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 100 * units[0][1]) return 'centuries';
+
+  const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds);
+  const count = Math.round(seconds / size);
+  const plural = unit === 'century' ? 'centuries' : `${unit}s`;
+  return `${count} ${count === 1 ? unit : plural}`;
+}
+
+/**
+ * Common Passwords
+ * Most frequent entries in public breach corpora, in rank order
+ */
+const COMMON_PASSWORDS = `
+123456 password 123456789 12345678 12345 qwerty 1234567 111111 1234567890 123123 abc123 1234
+password1 iloveyou 1q2w3e4r 000000 qwerty123 zaq12wsx dragon sunshine princess letmein 654321
+monkey 1qaz2wsx 123321 qwertyuiop superman asdfghjkl trustno1 football baseball welcome admin
+login master hello freedom whatever qazwsx shadow michael jennifer passw0rd starwars 666666
+121212 flower hottie loveme zaq1zaq1 charlie aa123456 donald qwerty1 batman access 696969
+mustang jordan23 harley ranger iwantu jessica pepper 555555 lovely 7777777 888888 123qwe
+killer soccer hockey george andrew michelle tigger sunshine1 computer thomas summer amanda
+internet biteme buster daniel hannah maggie matthew nicole taylor yankees robert 987654321
+chocolate anthony joshua ashley 112233 bailey 159753 purple 1q2w3e 11111111 secret mercedes
+liverpool cookie samsung apple123 orange banana butterfly cheese diamond silver golden ginger
+hunter hunter2 ninja azerty solo 1234qwer password123 admin123 root toor guest test test123
+changeme default letmein1 welcome1 monkey1 dragon1 master1 abcd1234 q1w2e3r4 asdf1234 zxcvbnm
+asdfgh zxcvbn qweasd qweasdzxc 1qazxsw2 passpass p@ssw0rd p@ssword pa55word
+`.trim().split(/\s+/);
+
+/**
+ * Encoding, Hashing & JWT Toolkit Setup
+ * Markup hooks inside .crypto-toolkit: .toolkit-input (required),
+ * .toolkit-output, .toolkit-operation (a <select>, filled when empty),
+ * .toolkit-add-step, .toolkit-steps, .toolkit-clear-steps, .toolkit-key
+ * (HMAC key / JWT secret), .toolkit-error and a .toolkit-jwt panel with
+ * .jwt-header, .jwt-claims, .jwt-findings and .jwt-signature. An initial
+ * pipeline can be given as data-pipeline="base64-decode,sha-256".
+ */
+function setupCryptoToolkit() {
+  const toolkit = document.querySelector('.crypto-toolkit');
+  if (!toolkit) return;
+
+  const input = toolkit.querySelector('.toolkit-input');
+  const output = toolkit.querySelector('.toolkit-output');
+  const operationSelect = toolkit.querySelector('.toolkit-operation');
+  const addStepBtn = toolkit.querySelector('.toolkit-add-step');
+  const clearStepsBtn = toolkit.querySelector('.toolkit-clear-steps');
+  const stepsList = toolkit.querySelector('.toolkit-steps');
+  const keyInput = toolkit.querySelector('.toolkit-key');
+  const errorBox = toolkit.querySelector('.toolkit-error');
+  const jwtPanel = toolkit.querySelector('.toolkit-jwt');
+
+  const steps = (toolkit.getAttribute('data-pipeline') || '')
+    .split(',')
+    .map(step => step.trim())
+    .filter(step => TOOLKIT_OPERATIONS[step]);
+  let runId = 0;
+
+  if (operationSelect && !operationSelect.options.length) {
+    Object.entries(TOOLKIT_OPERATIONS).forEach(([id, operation]) => {
+      operationSelect.add(new Option(operation.label, id));
+    });
+  }
+
+  function renderSteps() {
+    if (!stepsList) return;
+    stepsList.replaceChildren(...steps.map((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'toolkit-step';
+      const name = document.createElement('span');
+      name.textContent = TOOLKIT_OPERATIONS[step].label;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'toolkit-remove-step';
+      remove.setAttribute('aria-label', `Remove step ${index + 1}: ${TOOLKIT_OPERATIONS[step].label}`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        steps.splice(index, 1);
+        renderSteps();
+        update();
+      });
+      item.append(name, remove);
+      return item;
+    }));
+  }
+
+  async function update() {
+    const id = ++runId;
+    const key = keyInput ? keyInput.value : '';
+    const result = await runToolkitPipeline(input.value, steps, { key });
+    // A slower earlier run must not overwrite a newer one
+    if (id !== runId) return;
+
+    if (output) output.textContent = result.output;
+    if (errorBox) {
+      errorBox.textContent = result.error || '';
+      errorBox.hidden = !result.error;
+    }
+    if (jwtPanel) await renderJWT(input.value.trim(), key, id);
+  }
+
+  async function renderJWT(token, secret, id) {
+    let jwt = null;
+    if (/^[\w-]+\.[\w-]+\.[\w-]*$/.test(token)) {
+      try {
+        jwt = decodeJWT(token);
+      } catch (error) {
+        jwt = null;
       }
-    }, 50);
-  });
+    }
+
+    jwtPanel.hidden = !jwt;
+    if (!jwt) return;
+
+    const signature = await describeJWTSignature(jwt, secret);
+    if (id !== runId) return;
+
+    const fill = (selector, text) => {
+      const el = jwtPanel.querySelector(selector);
+      if (el) el.textContent = text;
+    };
+    fill('.jwt-header', JSON.stringify(jwt.header, null, 2));
+    fill('.jwt-claims', JSON.stringify(jwt.payload, null, 2));
+    fill('.jwt-signature', signature);
+
+    const findingsList = jwtPanel.querySelector('.jwt-findings');
+    if (findingsList) {
+      findingsList.replaceChildren(...inspectJWT(jwt).map(finding => {
+        const item = document.createElement('li');
+        item.className = `jwt-finding jwt-finding-${finding.level}`;
+        item.textContent = finding.message;
+        return item;
+      }));
+    }
+  }
+
+  if (addStepBtn && operationSelect) {
+    addStepBtn.addEventListener('click', function() {
+      steps.push(operationSelect.value);
+      renderSteps();
+      update();
+    });
+  }
+
+  if (clearStepsBtn) {
+    clearStepsBtn.addEventListener('click', function() {
+      steps.length = 0;
+      renderSteps();
+      update();
+    });
+  }
+
+  input.addEventListener('input', update);
+  if (keyInput) keyInput.addEventListener('input', update);
+
+  renderSteps();
+  update();
 }
 
+const TOOLKIT_OPERATIONS = {
+  'base64-encode': { label: 'Base64 encode', run: bytes => textBytes(bytesToBase64(bytes)) },
+  'base64-decode': { label: 'Base64 decode', run: bytes => base64ToBytes(bytesText(bytes)) },
+  'base64url-encode': { label: 'Base64URL encode', run: bytes => textBytes(bytesToBase64Url(bytes)) },
+  'base64url-decode': { label: 'Base64URL decode', run: bytes => base64UrlToBytes(bytesText(bytes)) },
+  'hex-encode': { label: 'Hex encode', run: bytes => textBytes(bytesToHex(bytes)) },
+  'hex-decode': { label: 'Hex decode', run: bytes => hexToBytes(bytesText(bytes)) },
+  'url-encode': { label: 'URL encode', run: bytes => textBytes(percentEncode(bytes)) },
+  'url-decode': { label: 'URL decode', run: bytes => percentDecode(bytesText(bytes)) },
+  'html-encode': { label: 'HTML entity encode', run: bytes => textBytes(escapeHTML(bytesText(bytes))) },
+  'html-decode': { label: 'HTML entity decode', run: bytes => textBytes(decodeHTMLEntities(bytesText(bytes))) },
+  'sha-1': { label: 'SHA-1', run: bytes => digestBytes('SHA-1', bytes) },
+  'sha-256': { label: 'SHA-256', run: bytes => digestBytes('SHA-256', bytes) },
+  'sha-384': { label: 'SHA-384', run: bytes => digestBytes('SHA-384', bytes) },
+  'sha-512': { label: 'SHA-512', run: bytes => digestBytes('SHA-512', bytes) },
+  'hmac-sha-1': { label: 'HMAC-SHA-1', run: (bytes, { key }) => hmacBytes('SHA-1', key, bytes) },
+  'hmac-sha-256': { label: 'HMAC-SHA-256', run: (bytes, { key }) => hmacBytes('SHA-256', key, bytes) },
+  'hmac-sha-384': { label: 'HMAC-SHA-384', run: (bytes, { key }) => hmacBytes('SHA-384', key, bytes) },
+  'hmac-sha-512': { label: 'HMAC-SHA-512', run: (bytes, { key }) => hmacBytes('SHA-512', key, bytes) },
+  'jwt-decode': {
+    label: 'JWT decode',
+    run: bytes => {
+      const { header, payload } = decodeJWT(bytesText(bytes));
+      return textBytes(JSON.stringify({ header, payload }, null, 2));
+    }
+  }
+};
+
 /**
- * Password Generator Setup
+ * Run Input Through a Pipeline of Toolkit Operations
+ * Steps pass raw bytes, so "base64-decode, sha-256" hashes the decoded
+ * bytes. The result is shown as text when it is valid UTF-8, else as hex.
  */
-function setupPasswordGenerator() {
-  const generator = document.querySelector('.password-generator');
-  if (!generator) return;
+async function runToolkitPipeline(text, steps, options = {}) {
+  let bytes = textBytes(text);
 
-  const output = generator.querySelector('.password-output');
-  const lengthSlider = generator.querySelector('.length-slider');
-  const lengthValue = generator.querySelector('.length-value');
-  const generateBtn = generator.querySelector('.generate-btn');
-  const copyBtn = generator.querySelector('.copy-btn');
+  for (let index = 0; index < steps.length; index++) {
+    const operation = TOOLKIT_OPERATIONS[steps[index]];
+    try {
+      bytes = await operation.run(bytes, options);
+    } catch (error) {
+      return { output: '', error: `Step ${index + 1} (${operation.label}): ${error.message}` };
+    }
+  }
 
-  // Update length display
-  lengthSlider.addEventListener('input', function() {
-    lengthValue.textContent = this.value;
-  });
+  return { output: displayBytes(bytes), error: null };
+}
 
-  // Generate password
-  generateBtn.addEventListener('click', function() {
-    const length = lengthSlider.value;
-    const includeUpper = generator.querySelector('#include-upper').checked;
-    const includeLower = generator.querySelector('#include-lower').checked;
-    const includeNumbers = generator.querySelector('#include-numbers').checked;
-    const includeSymbols = generator.querySelector('#include-symbols').checked;
-    
-    output.value = generatePassword(length, includeUpper, includeLower, includeNumbers, includeSymbols);
+function textBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+function bytesText(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+function displayBytes(bytes) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    if (!/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/.test(text)) return text;
+  } catch (error) {
+    // Not text; fall through to hex
+  }
+  return bytesToHex(bytes);
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
   });
+  return btoa(binary);
+}
 
-  // Copy to clipboard
-  copyBtn.addEventListener('click', function() {
-    if (!output.value) return;
-    
-    output.select();
-    document.execCommand('copy');
-    
-    const originalText = copyBtn.innerHTML;
-    copyBtn.innerHTML = '<i class="fas fa-check"></i> Copied!';
-    
-    setTimeout(() => {
-      copyBtn.innerHTML = originalText;
-    }, 2000);
+function base64ToBytes(text) {
+  const clean = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean)) throw new Error('Not valid Base64');
+  return Uint8Array.from(atob(clean), char => char.charCodeAt(0));
+}
+
+function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const clean = text.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9_-]*$/.test(clean)) throw new Error('Not valid Base64URL');
+  const padded = clean.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - clean.length % 4) % 4);
+  return base64ToBytes(padded);
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(text) {
+  const clean = text.replace(/^0x|[\s:]/gi, '');
+  if (!/^([0-9a-f]{2})*$/i.test(clean)) throw new Error('Not valid hex (expected pairs of 0-9, a-f)');
+  return Uint8Array.from(clean.match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+// Byte-wise so binary input survives; unreserved characters per RFC 3986
+function percentEncode(bytes) {
+  return Array.from(bytes, byte => {
+    const char = String.fromCharCode(byte);
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+}
+
+function percentDecode(text) {
+  const bytes = [];
+  const encoded = textBytes(text.replace(/\+/g, ' '));
+  for (let i = 0; i < encoded.length; i++) {
+    const hex = String.fromCharCode(encoded[i + 1], encoded[i + 2]);
+    if (encoded[i] === 0x25 && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(encoded[i]);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', copy: '\u00a9', reg: '\u00ae' };
+
+// Parsed by hand: handing the text to the DOM would make it an HTML sink
+function decodeHTMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
   });
 }
 
+async function digestBytes(algorithm, bytes) {
+  return new Uint8Array(await crypto.subtle.digest(algorithm, bytes));
+}
+
+async function hmacBytes(algorithm, key, bytes) {
+  if (!key) throw new Error('Enter a key for HMAC');
+  const cryptoKey = await crypto.subtle.importKey('raw', textBytes(key), { name: 'HMAC', hash: algorithm }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, bytes));
+}
+
 /**
- * Generate Random Password
+ * Decode a JWT
+ * Decoding is not verification; see verifyJWT for the signature.
  */
-function generatePassword(length, upper, lower, numbers, symbols) {
-  const charset = {
-    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-    lower: 'abcdefghijklmnopqrstuvwxyz',
-    numbers: '0123456789',
-    symbols: '!@#$%^&*()_+-=[]{}|;:,.<>?'
+function decodeJWT(token) {
+  const parts = String(token).trim().split('.');
+  if (parts.length !== 3) throw new Error('A JWT has three dot-separated parts');
+
+  const json = (part, name) => {
+    let value;
+    try {
+      value = JSON.parse(bytesText(base64UrlToBytes(part)));
+    } catch (error) {
+      throw new Error(`The ${name} is not Base64URL-encoded JSON`);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`The ${name} is not a JSON object`);
+    }
+    return value;
+  };
+
+  return {
+    header: json(parts[0], 'header'),
+    payload: json(parts[1], 'payload'),
+    signature: parts[2],
+    signingInput: `${parts[0]}.${parts[1]}`
   };
+}
+
+// NumericDate claims are seconds; Date only reaches +/-8.64e12 ms
+function jwtTimestamp(value) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= 8.64e9 ? value : null;
+}
+
+function inspectJWT(jwt, now = Date.now()) {
+  const findings = [];
+  const { header, payload } = jwt;
+  const alg = String(header.alg || '');
+  const at = seconds => new Date(seconds * 1000).toISOString();
+  const exp = jwtTimestamp(payload.exp);
+  const nbf = jwtTimestamp(payload.nbf);
+  const iat = jwtTimestamp(payload.iat);
 
-  let selectedChars = '';
-  if (upper) selectedChars += charset.upper;
-  if (lower) selectedChars += charset.lower;
-  if (numbers) selectedChars += charset.numbers;
-  if (symbols) selectedChars += charset.symbols;
+  if (!alg || alg.toLowerCase() === 'none') {
+    findings.push({ level: 'critical', message: 'alg is "none": the token is unsigned and must be rejected' });
+  } else if (/^HS/i.test(alg)) {
+    findings.push({ level: 'info', message: `${alg} is symmetric: anyone who can verify it can also mint tokens` });
+  }
+
+  ['exp', 'nbf', 'iat'].forEach(claim => {
+    if (payload[claim] !== undefined && jwtTimestamp(payload[claim]) === null) {
+      findings.push({ level: 'warning', message: `${claim} is not a valid timestamp` });
+    }
+  });
 
-  if (!selectedChars) return '';
+  if (payload.exp === undefined) {
+    findings.push({ level: 'warning', message: 'No exp claim: the token never expires' });
+  } else if (exp !== null && exp * 1000 <= now) {
+    findings.push({ level: 'critical', message: `Expired ${formatDuration((now - exp * 1000) / 1000)} ago (${at(exp)})` });
+  } else if (exp !== null) {
+    findings.push({ level: 'info', message: `Expires in ${formatDuration((exp * 1000 - now) / 1000)} (${at(exp)})` });
+  }
 
-  let password = '';
-  for (let i = 0; i < length; i++) {
-    password += selectedChars.charAt(Math.floor(Math.random() * selectedChars.length));
+  if (nbf !== null && nbf * 1000 > now) {
+    findings.push({ level: 'warning', message: `Not valid before ${at(nbf)}` });
+  }
+  if (iat !== null && iat * 1000 > now) {
+    findings.push({ level: 'warning', message: `Issued in the future (${at(iat)})` });
   }
 
-  return password;
+  return findings;
+}
+
+/**
+ * Verify an HS256/HS384/HS512 Signature with a Shared Secret
+ */
+async function verifyJWT(jwt, secret) {
+  const hash = { HS256: 'SHA-256', HS384: 'SHA-384', HS512: 'SHA-512' }[jwt.header.alg];
+  if (!hash) throw new Error(`Only HS256, HS384 and HS512 can be verified with a shared secret (token uses ${jwt.header.alg})`);
+
+  const expected = await hmacBytes(hash, secret, textBytes(jwt.signingInput));
+  return bytesToBase64Url(expected) === jwt.signature;
+}
+
+async function describeJWTSignature(jwt, secret) {
+  if (!jwt.header.alg || String(jwt.header.alg).toLowerCase() === 'none') return 'Unsigned token: there is no signature to verify.';
+  if (!secret) return 'Enter the shared secret in the key field to verify the signature.';
+  try {
+    return await verifyJWT(jwt, secret) ?
+      `Signature verified (${jwt.header.alg}).` :
+      `Signature does NOT match this secret (${jwt.header.alg}).`;
+  } catch (error) {
+    return error.message;
+  }
 }
 
 /**
  * Copy Buttons Setup
  */
 function setupCopyButtons() {
-  document.querySelectorAll('[data-copy]').forEach(button => {
-    button.addEventListener('click', function() {
-      const target = document.querySelector(this.getAttribute('data-copy'));
-      if (!target) return;
+  // Delegated so buttons rendered later (e.g. by the toolkit) work too
+  document.addEventListener('click', function(event) {
+    const button = event.target.closest('[data-copy]');
+    if (!button) return;
+
+    const target = document.querySelector(button.getAttribute('data-copy'));
+    if (!target) return;
+    
+    const textToCopy = target.textContent || target.value;
+    navigator.clipboard.writeText(textToCopy).then(() => {
+      const originalText = button.innerHTML;
+      setHTML(button, '<i class="fas fa-check"></i> Copied!', 'setupCopyButtons');
       
-      const textToCopy = target.textContent || target.value;
-      navigator.clipboard.writeText(textToCopy).then(() => {
-        const originalText = this.innerHTML;
-        this.innerHTML = '<i class="fas fa-check"></i> Copied!';
-        
-        setTimeout(() => {
-          this.innerHTML = originalText;
-        }, 2000);
-      });
+      setTimeout(() => {
+        setHTML(button, originalText, 'setupCopyButtons');
+      }, 2000);
     });
   });
 }
@@ -527,13 +2373,13 @@ function setupSessionTimeout() {
   function showTimeoutWarning() {
     const warning = document.createElement('div');
     warning.className = 'session-warning';
-    warning.innerHTML = `
+    setHTML(warning, `
       <div class="warning-content">
         <h3>Session About to Expire</h3>
         <p>You will be logged out in 5 minutes due to inactivity.</p>
         <button class="btn btn-primary" id="extend-session">Continue Session</button>
       </div>
-    `;
+    `, 'showTimeoutWarning');
     
     document.body.appendChild(warning);
     
@@ -544,11 +2390,11 @@ function setupSessionTimeout() {
 
     // Final logout timer
     setTimeout(() => {
-      warning.querySelector('.warning-content').innerHTML = `
+      setHTML(warning.querySelector('.warning-content'), `
         <h3>Session Expired</h3>
         <p>You have been logged out due to inactivity.</p>
         <a href="/login" class="btn btn-primary">Login Again</a>
-      `;
+      `, 'showTimeoutWarning');
     }, logoutTime - warningTime);
   }
 
@@ -578,3 +2424,29 @@ function throttle(func, limit) {
     }
   };
 }
+
+
+/**
+ * Guarded HTML Sink
+ * Routes markup through SecurityAudit's sanitizer and Trusted Types policy
+ * when the auditor is loaded; `callSite` identifies the writer in reports.
+ */
+function setHTML(element, html, callSite) {
+  if (window.SecurityAudit && typeof window.SecurityAudit.setHTML === 'function') {
+    window.SecurityAudit.setHTML(element, html, callSite);
+  } else {
+    element.innerHTML = html;
+  }
+}
+
+/**
+ * Escape Text for HTML Interpolation
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
\ No newline at end of file
@@ -4,239 +4,3463 @@
  * Description: Real-time security monitoring, threat detection, and analytics
  */
 
+/**
+ * Detection Rule Packs
+ * Rules are plain JSON so packs can be shipped, versioned and tuned
+ * independently of the auditor.
+ */
+const RULE_CONTEXTS = ['URLParam', 'Cookie', 'LocalStorage', 'InlineScript', 'DOM', 'PostMessage'];
+const RULE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RULE_CATEGORY_THREATS = {
+  xss: 'XSSAttempt',
+  sqli: 'SQLiAttempt'
+};
+
+const DEFAULT_RULE_PACK = {
+  id: 'cyberempirex-core',
+  version: '1.2.0',
+  rules: [
+    {
+      id: 'xss-script-tag',
+      category: 'xss',
+      severity: 'high',
+      pattern: '<script\\b[^>]*>[\\s\\S]*?<\\/script>',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage', 'InlineScript', 'PostMessage']
+    },
+    {
+      id: 'xss-javascript-uri',
+      category: 'xss',
+      severity: 'high',
+      pattern: 'javascript\\s*:[^"\'\\s]+',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage', 'PostMessage']
+    },
+    {
+      id: 'xss-inline-handler',
+      category: 'xss',
+      severity: 'high',
+      pattern: '\\bon[a-z]+\\s*=\\s*("[^"]+"|\'[^\']+\')',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage', 'PostMessage']
+    },
+    {
+      id: 'sqli-union-select',
+      category: 'sqli',
+      severity: 'critical',
+      pattern: '\\bunion\\b(\\s+all)?\\s+select\\b',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage']
+    },
+    {
+      id: 'sqli-stacked-query',
+      category: 'sqli',
+      severity: 'critical',
+      pattern: ';\\s*(drop|delete|insert|update|alter|exec|truncate)\\s+\\w+',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage']
+    },
+    {
+      id: 'sqli-tautology',
+      category: 'sqli',
+      severity: 'high',
+      pattern: '[\'")]\\s*(or|and)\\s+[\'"]?\\w+[\'"]?\\s*=\\s*[\'"]?\\w+',
+      contexts: ['URLParam', 'Cookie', 'LocalStorage']
+    },
+    {
+      id: 'sqli-comment-terminator',
+      category: 'sqli',
+      severity: 'medium',
+      pattern: '\\w[\'"]\\s*(--|#|\\/\\*)',
+      contexts: ['URLParam', 'Cookie']
+    }
+  ]
+};
+
+class RuleEngine {
+  constructor() {
+    this.packs = new Map();
+    this.disabled = new Set();
+  }
+
+  /**
+   * Load (or upgrade) a rule pack. A pack already loaded under the same id
+   * is only replaced by a newer version unless `force` is set.
+   */
+  load(pack, { force = false } = {}) {
+    if (typeof pack === 'string') pack = JSON.parse(pack);
+    if (!pack || typeof pack.id !== 'string' || !Array.isArray(pack.rules)) {
+      throw new Error('[SecurityAudit] Rule pack needs an id and a rules array');
+    }
+
+    const version = pack.version || '0.0.0';
+    const current = this.packs.get(pack.id);
+    if (current && !force && compareVersions(version, current.version) <= 0) {
+      return false;
+    }
+
+    this.packs.set(pack.id, {
+      id: pack.id,
+      version,
+      rules: pack.rules.map(rule => this.compile(rule, pack.id))
+    });
+    return true;
+  }
+
+  unload(packId) {
+    return this.packs.delete(packId);
+  }
+
+  disable(ruleId) {
+    this.disabled.add(ruleId);
+  }
+
+  enable(ruleId) {
+    this.disabled.delete(ruleId);
+  }
+
+  compile(rule, packId) {
+    if (!rule.id || !rule.pattern) {
+      throw new Error(`[SecurityAudit] Rule in pack "${packId}" needs an id and a pattern`);
+    }
+
+    const severity = RULE_SEVERITIES.includes(rule.severity) ? rule.severity : 'medium';
+    const contexts = (rule.contexts || RULE_CONTEXTS).filter(c => RULE_CONTEXTS.includes(c));
+    // Stateful flags make RegExp#test depend on the previous call
+    const flags = (rule.flags || 'i').replace(/[gy]/g, '');
+
+    return {
+      id: rule.id,
+      category: rule.category || 'generic',
+      threat: rule.threat || RULE_CATEGORY_THREATS[rule.category] || 'RuleMatch',
+      severity,
+      contexts,
+      regex: new RegExp(rule.pattern, flags),
+      exceptions: (rule.exceptions || []).map(exception => ({
+        context: exception.context,
+        regex: exception.pattern ? new RegExp(exception.pattern, flags) : null
+      }))
+    };
+  }
+
+  /**
+   * Match content against every active rule for the given context
+   * (e.g. "URLParam:q" or "InlineScript").
+   */
+  match(content, context) {
+    if (typeof content !== 'string' || !content) return [];
+
+    const contextType = context.split(':')[0];
+    const matches = [];
+
+    this.packs.forEach(pack => {
+      pack.rules.forEach(rule => {
+        if (this.disabled.has(rule.id) || !rule.contexts.includes(contextType)) return;
+
+        const found = content.match(rule.regex);
+        if (!found || this.isExcepted(rule, content, context, contextType)) return;
+
+        matches.push({
+          rule,
+          pack: `${pack.id}@${pack.version}`,
+          match: found[0]
+        });
+      });
+    });
+
+    return matches;
+  }
+
+  isExcepted(rule, content, context, contextType) {
+    return rule.exceptions.some(exception => {
+      if (exception.context && exception.context !== context && exception.context !== contextType) {
+        return false;
+      }
+      return !exception.regex || exception.regex.test(content);
+    });
+  }
+
+  list() {
+    return Array.from(this.packs.values()).map(pack => ({
+      id: pack.id,
+      version: pack.version,
+      rules: pack.rules.map(rule => ({
+        id: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        contexts: rule.contexts,
+        enabled: !this.disabled.has(rule.id)
+      }))
+    }));
+  }
+}
+
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Threat Journal
+ * Persists events and threats to IndexedDB (or memory when unavailable)
+ * with a retention window and an entry cap.
+ */
+const JOURNAL_CSV_COLUMNS = ['id', 'kind', 'type', 'severity', 'timestamp', 'time', 'sessionId', 'data'];
+
+class ThreatJournal {
+  constructor({
+    dbName = 'cyberempirex-audit',
+    storeName = 'journal',
+    retention = 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxEntries = 5000,
+    pruneEvery = 100
+  } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.retention = retention;
+    this.maxEntries = maxEntries;
+    this.pruneEvery = pruneEvery;
+    this.writes = 0;
+    this.memory = [];
+    this.nextMemoryId = 1;
+    this.ready = this.open();
+  }
+
+  open() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(this.storeName, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('[SecurityAudit] Journal unavailable, using memory:', request.error);
+        resolve(null);
+      };
+    }).then(db => {
+      this.db = db;
+      return this.prune().then(() => db);
+    });
+  }
+
+  async record(entry) {
+    const db = await this.ready;
+
+    if (!db) {
+      this.memory.push({ ...entry, id: this.nextMemoryId++ });
+    } else {
+      await this.transact('readwrite', store => store.add(entry));
+    }
+
+    if (++this.writes % this.pruneEvery === 0) await this.prune();
+  }
+
+  /**
+   * Drop entries past the retention window, then the oldest entries
+   * beyond maxEntries.
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retention;
+
+    if (!this.db) {
+      this.memory = this.memory.filter(entry => entry.timestamp >= cutoff);
+      if (this.memory.length > this.maxEntries) {
+        this.memory.splice(0, this.memory.length - this.maxEntries);
+      }
+      return;
+    }
+
+    await this.transact('readwrite', store => {
+      store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+
+    const count = await this.transact('readonly', store => store.count());
+    let excess = count - this.maxEntries;
+    if (excess <= 0) return;
+
+    await this.transact('readwrite', store => {
+      store.index('timestamp').openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Query the journal. Filters: kind, type and severity (string or array),
+   * since/until timestamps, plus page (0-based) and pageSize.
+   */
+  async query({ kind, type, severity, since, until, page = 0, pageSize = 50 } = {}) {
+    const entries = (await this.read(since, until)).filter(entry =>
+      matchesFilter(entry.kind, kind) &&
+      matchesFilter(entry.type, type) &&
+      matchesFilter(entry.severity, severity)
+    );
+
+    return {
+      total: entries.length,
+      page,
+      pageSize,
+      entries: pageSize > 0 ? entries.slice(page * pageSize, (page + 1) * pageSize) : entries
+    };
+  }
+
+  async read(since = 0, until = Infinity) {
+    const db = await this.ready;
+
+    if (!db) {
+      return this.memory.filter(entry => entry.timestamp >= since && entry.timestamp <= until);
+    }
+
+    const range = until === Infinity ?
+      IDBKeyRange.lowerBound(since) : IDBKeyRange.bound(since, until);
+    return this.transact('readonly', store => store.index('timestamp').getAll(range));
+  }
+
+  async export(format = 'json', filter = {}) {
+    const { entries } = await this.query({ ...filter, pageSize: 0 });
+
+    switch (format) {
+      case 'json':
+        return JSON.stringify(entries, null, 2);
+      case 'ndjson':
+        return entries.map(entry => JSON.stringify(entry)).join('\n');
+      case 'csv':
+        return [JOURNAL_CSV_COLUMNS.join(',')].concat(entries.map(entry =>
+          JOURNAL_CSV_COLUMNS.map(column => {
+            if (column === 'time') return new Date(entry.timestamp).toISOString();
+            if (column === 'data') return csvCell(JSON.stringify(entry.data));
+            return csvCell(entry[column]);
+          }).join(',')
+        )).join('\n');
+      default:
+        throw new Error(`[SecurityAudit] Unknown journal export format "${format}"`);
+    }
+  }
+
+  async clear() {
+    const db = await this.ready;
+    if (!db) {
+      this.memory = [];
+      return;
+    }
+    await this.transact('readwrite', store => store.clear());
+  }
+
+  close() {
+    return this.ready.then(db => db?.close());
+  }
+
+  transact(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+function matchesFilter(value, filter) {
+  if (filter === undefined || filter === null) return true;
+  return Array.isArray(filter) ? filter.includes(value) : value === filter;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report Transport
+ * Batches outgoing reports per channel, gzips them where supported and
+ * retries with exponential backoff. Pending reports survive reloads in a
+ * localStorage queue and are flushed on `online` and when the tab is hidden.
+ * Batches are also capped by size: beacons and keepalive requests, used
+ * only for that last flush, share a 64 KB budget.
+ */
+const AUDIT_STORAGE_PREFIX = 'cyberempirex-audit';
+
+// Bytes of {"sentAt":…,"reports":[]} around a batch's reports
+const REPORT_ENVELOPE_BYTES = 64;
+
+// Namespaces held by live instances, so two of them never share storage
+// keys, a journal database or element ids
+const claimedNamespaces = new Set();
+
+function claimNamespace(requested) {
+  const base = String(requested || '').replace(/[^\w-]/g, '-');
+  let namespace = base;
+  for (let n = 2; claimedNamespaces.has(namespace); n++) {
+    namespace = base ? `${base}-${n}` : `instance-${n}`;
+  }
+  claimedNamespaces.add(namespace);
+  return namespace;
+}
+
+class ReportTransport {
+  constructor({
+    endpoints = {},
+    headers = {},
+    batchSize = 20,
+    maxBatchBytes = 60 * 1024,
+    flushInterval = 5000,
+    baseDelay = 1000,
+    maxDelay = 5 * 60 * 1000, // 5 minutes
+    maxQueue = 500,
+    compress = true,
+    queueKey = `${AUDIT_STORAGE_PREFIX}:queue`,
+    fetch: fetchImpl = window.fetch.bind(window),
+    sendBeacon = navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null
+  } = {}) {
+    this.endpoints = endpoints;
+    this.headers = headers;
+    this.batchSize = batchSize;
+    this.maxBatchBytes = maxBatchBytes;
+    this.flushInterval = flushInterval;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxQueue = maxQueue;
+    this.compress = compress && typeof CompressionStream !== 'undefined';
+    this.queueKey = queueKey;
+    this.fetch = fetchImpl;
+    this.sendBeacon = sendBeacon;
+
+    this.queue = this.loadQueue();
+    this.failures = 0;
+    this.flushing = null;
+    this.timer = null;
+
+    this.handleOnline = () => this.flush();
+    this.handleVisibility = () => {
+      if (document.visibilityState === 'hidden') this.flush({ beacon: true });
+    };
+    window.addEventListener('online', this.handleOnline);
+    document.addEventListener('visibilitychange', this.handleVisibility);
+
+    if (this.queue.length) this.schedule(this.flushInterval);
+  }
+
+  send(channel, payload) {
+    if (!this.endpoints[channel]) return;
+
+    this.queue.push({ channel, payload });
+    if (this.queue.length > this.maxQueue) {
+      this.queue.splice(0, this.queue.length - this.maxQueue);
+    }
+    this.saveQueue();
+
+    const pending = this.queue.filter(item => item.channel === channel).length;
+    if (pending >= this.batchSize) {
+      this.flush();
+    } else {
+      this.schedule(this.flushInterval);
+    }
+  }
+
+  schedule(delay) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+  }
+
+  flush({ beacon = false } = {}) {
+    if (beacon) return this.flushWithBeacon();
+    if (this.flushing) return this.flushing;
+    if (!this.queue.length || !navigator.onLine) return Promise.resolve();
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.flushing = this.deliverAll()
+      .then(() => {
+        this.failures = 0;
+      })
+      .catch(error => {
+        this.failures++;
+        console.error('[SecurityAudit] Report delivery failed, retrying:', error);
+      })
+      .finally(() => {
+        this.flushing = null;
+        if (this.queue.length) {
+          this.schedule(this.failures ? this.backoff() : this.flushInterval);
+        }
+      });
+
+    return this.flushing;
+  }
+
+  async deliverAll() {
+    for (const channel of Object.keys(this.endpoints)) {
+      let batch;
+      while ((batch = this.nextBatch(channel)).length) {
+        await this.deliver(channel, batch.map(item => item.payload));
+        this.queue = this.queue.filter(item => !batch.includes(item));
+        this.saveQueue();
+      }
+    }
+  }
+
+  /**
+   * The oldest reports of `channel` that fit in one batch. A report larger
+   * than maxBatchBytes on its own still goes out, alone.
+   */
+  nextBatch(channel, queue = this.queue) {
+    const batch = [];
+    let bytes = REPORT_ENVELOPE_BYTES;
+    for (const item of queue) {
+      if (item.channel !== channel) continue;
+      const size = new Blob([JSON.stringify(item.payload)]).size + 1;
+      if (batch.length && (batch.length >= this.batchSize || bytes + size > this.maxBatchBytes)) break;
+      batch.push(item);
+      bytes += size;
+    }
+    return batch;
+  }
+
+  batches(channel) {
+    const batches = [];
+    let rest = this.queue;
+    let batch;
+    while ((batch = this.nextBatch(channel, rest)).length) {
+      batches.push(batch);
+      rest = rest.filter(item => !batches[batches.length - 1].includes(item));
+    }
+    return batches;
+  }
+
+  async deliver(channel, reports, { keepalive = false } = {}) {
+    const json = JSON.stringify({ sentAt: Date.now(), reports });
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    let body = json;
+
+    // A page on its way out can't wait for the compressor
+    if (this.compress && !keepalive) {
+      const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+      body = await new Response(stream).blob();
+      headers['Content-Encoding'] = 'gzip';
+    }
+
+    const response = await this.fetch(this.endpoints[channel], {
+      method: 'POST',
+      headers,
+      body,
+      keepalive
+    });
+
+    if (!response.ok) {
+      throw new Error(`${channel} endpoint responded with ${response.status}`);
+    }
+  }
+
+  /**
+   * Last-chance delivery while the page is being hidden or unloaded.
+   * Beacons cannot carry custom headers, so they are sent uncompressed;
+   * without sendBeacon a keepalive fetch stands in. Whatever doesn't fit
+   * the browser's budget stays queued for the next visit.
+   */
+  flushWithBeacon() {
+    if (!this.queue.length) return Promise.resolve();
+
+    const requests = [];
+    Object.keys(this.endpoints).forEach(channel => {
+      // Stop at the first beacon the browser refuses: its budget is spent
+      this.batches(channel).every(batch => {
+        const reports = batch.map(item => item.payload);
+        const remove = () => {
+          this.queue = this.queue.filter(item => !batch.includes(item));
+        };
+
+        if (!this.sendBeacon) {
+          // Stays queued until the request succeeds
+          requests.push(this.deliver(channel, reports, { keepalive: true })
+            .then(() => {
+              remove();
+              this.saveQueue();
+            }, () => {}));
+          return true;
+        }
+
+        const blob = new Blob(
+          [JSON.stringify({ sentAt: Date.now(), reports })],
+          { type: 'application/json' }
+        );
+        if (!this.sendBeacon(this.endpoints[channel], blob)) return false;
+        remove();
+        return true;
+      });
+    });
+
+    this.saveQueue();
+    return Promise.all(requests);
+  }
+
+  backoff() {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (this.failures - 1));
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  loadQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(this.queueKey)) || [];
+      return queue.filter(item => this.endpoints[item.channel]);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveQueue() {
+    try {
+      if (this.queue.length) {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(this.queueKey);
+      }
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to persist report queue:', error);
+    }
+  }
+
+  clear() {
+    this.queue = [];
+    this.saveQueue();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    window.removeEventListener('online', this.handleOnline);
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    this.flushWithBeacon();
+  }
+}
+
+/**
+ * Rate and anomaly detection
+ * Every event type and request endpoint is its own stream. A token bucket
+ * catches short bursts, a sliding window of per-second counts catches
+ * sustained floods against a baseline learned during the session, and
+ * origins first contacted after the learning period are flagged as new.
+ */
+const ANOMALY_GRADES = {
+  burst: { threat: 'RequestBurst', severity: 'medium' },
+  flood: { threat: 'RequestFlood', severity: 'high' },
+  newEndpoint: { threat: 'NewEndpoint', severity: 'low' }
+};
+
+class AnomalyDetector {
+  constructor({
+    clock = () => Date.now(),
+    learningPeriod = 30000, // 30 seconds
+    cooldown = 30000, // per stream and grade
+    ignore = [],
+    burst = {},
+    flood = {},
+    baseline = {},
+    streams = {}
+  } = {}) {
+    this.clock = clock;
+    this.learningPeriod = learningPeriod;
+    this.cooldown = cooldown;
+    this.ignore = new Set(ignore);
+    this.thresholds = {
+      burst: { capacity: 20, refillRate: 5, ...burst }, // tokens, tokens per second
+      flood: { window: 10000, minRate: 5, factor: 4, ...flood }, // ms, events per second, x baseline
+      baseline: { alpha: 0.2, warmup: 10000, ...baseline } // EWMA weight, ms before floods count
+    };
+    this.overrides = streams;
+    this.reset();
+  }
+
+  reset() {
+    this.streams = new Map();
+    this.origins = new Set();
+    this.startedAt = this.clock();
+  }
+
+  /**
+   * Record one occurrence of an event type (and the endpoint it called, if
+   * any) and return the anomalies it triggered.
+   */
+  observe(type, { endpoint, timestamp = this.clock() } = {}) {
+    if (this.ignore.has(type)) return [];
+
+    const anomalies = this.track(`type:${type}`, timestamp);
+    if (!endpoint) return anomalies;
+
+    let url;
+    try {
+      url = new URL(endpoint, window.location.href);
+    } catch (error) {
+      return anomalies;
+    }
+
+    anomalies.push(...this.track(`endpoint:${url.origin}${url.pathname}`, timestamp));
+
+    if (!this.origins.has(url.origin)) {
+      this.origins.add(url.origin);
+      if (timestamp - this.startedAt >= this.learningPeriod && url.origin !== window.location.origin) {
+        anomalies.push(this.anomaly('newEndpoint', `origin:${url.origin}`, timestamp, { origin: url.origin }));
+      }
+    }
+    return anomalies;
+  }
+
+  track(name, timestamp) {
+    const config = this.configFor(name);
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = {
+        name,
+        createdAt: timestamp,
+        tokens: config.burst.capacity,
+        refilledAt: timestamp,
+        buckets: [], // [second, count] pairs inside the flood window
+        baseline: null,
+        learnedUntil: Math.floor(timestamp / 1000),
+        lastReported: {}
+      };
+      this.streams.set(name, stream);
+    }
+
+    const anomalies = [];
+    const second = Math.floor(timestamp / 1000);
+
+    // Token bucket: refill for the time elapsed, then spend one token
+    const elapsed = Math.max(0, timestamp - stream.refilledAt) / 1000;
+    stream.tokens = Math.min(config.burst.capacity, stream.tokens + elapsed * config.burst.refillRate);
+    stream.refilledAt = Math.max(stream.refilledAt, timestamp);
+    if (stream.tokens >= 1) {
+      stream.tokens -= 1;
+    } else if (this.due(stream, 'burst', timestamp)) {
+      anomalies.push(this.anomaly('burst', name, timestamp, {
+        capacity: config.burst.capacity,
+        refillRate: config.burst.refillRate
+      }));
+    }
+
+    // Sliding window of per-second counts
+    this.learn(stream, second, config);
+    const last = stream.buckets[stream.buckets.length - 1];
+    if (last && last[0] === second) {
+      last[1]++;
+    } else {
+      stream.buckets.push([second, 1]);
+    }
+    const windowSeconds = Math.max(1, Math.round(config.flood.window / 1000));
+    while (stream.buckets.length && stream.buckets[0][0] <= second - windowSeconds) {
+      stream.buckets.shift();
+    }
+
+    const count = stream.buckets.reduce((total, [, n]) => total + n, 0);
+    const rate = count / windowSeconds;
+    const limit = this.floodLimit(stream, config);
+    const warmedUp = timestamp - stream.createdAt >= config.baseline.warmup;
+    if (warmedUp && rate > limit && this.due(stream, 'flood', timestamp)) {
+      anomalies.push(this.anomaly('flood', name, timestamp, {
+        rate: Math.round(rate * 100) / 100,
+        limit: Math.round(limit * 100) / 100,
+        baseline: stream.baseline === null ? null : Math.round(stream.baseline * 100) / 100,
+        window: config.flood.window
+      }));
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Fold every completed second before `second` into the stream's EWMA
+   * baseline. Seconds above the flood limit are left out so that an attack
+   * does not become the new normal.
+   */
+  learn(stream, second, config) {
+    const from = Math.max(stream.learnedUntil, second - Math.round(config.flood.window / 1000));
+    const { alpha } = config.baseline;
+
+    for (let s = from; s < second; s++) {
+      const bucket = stream.buckets.find(([bucketSecond]) => bucketSecond === s);
+      const count = bucket ? bucket[1] : 0;
+      if (count > this.floodLimit(stream, config)) continue;
+      stream.baseline = stream.baseline === null ? count : alpha * count + (1 - alpha) * stream.baseline;
+    }
+    stream.learnedUntil = Math.max(stream.learnedUntil, second);
+  }
+
+  floodLimit(stream, config) {
+    return Math.max(config.flood.minRate, (stream.baseline || 0) * config.flood.factor);
+  }
+
+  configFor(name) {
+    const override = this.overrides[name] || {};
+    return {
+      burst: { ...this.thresholds.burst, ...override.burst },
+      flood: { ...this.thresholds.flood, ...override.flood },
+      baseline: { ...this.thresholds.baseline, ...override.baseline }
+    };
+  }
+
+  due(stream, grade, timestamp) {
+    const last = stream.lastReported[grade];
+    if (last !== undefined && timestamp - last < this.cooldown) return false;
+    stream.lastReported[grade] = timestamp;
+    return true;
+  }
+
+  anomaly(grade, stream, timestamp, details) {
+    return { grade, ...ANOMALY_GRADES[grade], stream, timestamp, ...details };
+  }
+
+  /**
+   * Snapshot of every stream's current rate and learned baseline
+   */
+  summary() {
+    return Array.from(this.streams.values(), stream => ({
+      stream: stream.name,
+      events: stream.buckets.reduce((total, [, n]) => total + n, 0),
+      baseline: stream.baseline,
+      tokens: Math.floor(stream.tokens)
+    }));
+  }
+}
+
+/**
+ * Content Security Policy helpers
+ */
+const CSP_FETCH_DIRECTIVES = [
+  'script-src', 'style-src', 'img-src', 'font-src',
+  'connect-src', 'frame-src', 'media-src', 'object-src', 'manifest-src'
+];
+
+// Preload destinations (the link's `as`) and the directive that governs them
+const CSP_PRELOAD_DIRECTIVES = {
+  script: 'script-src', style: 'style-src', font: 'font-src', image: 'img-src',
+  fetch: 'connect-src', document: 'frame-src', audio: 'media-src', video: 'media-src',
+  track: 'media-src', object: 'object-src', embed: 'object-src', manifest: 'manifest-src'
+};
+
+function cspSource(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch (error) {
+    return null;
+  }
+
+  if (['data:', 'blob:'].includes(parsed.protocol)) return parsed.protocol;
+  if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) return null;
+  return parsed.origin === window.location.origin ? "'self'" : parsed.origin;
+}
+
+function cspDirectiveForLink(link) {
+  const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+  if (rel.includes('stylesheet')) return 'style-src';
+  if (rel.includes('icon') || rel.includes('apple-touch-icon')) return 'img-src';
+  if (rel.includes('manifest')) return 'manifest-src';
+  if (rel.includes('modulepreload')) return 'script-src';
+  if (rel.includes('preload') || rel.includes('prefetch')) {
+    return CSP_PRELOAD_DIRECTIVES[(link.getAttribute('as') || '').toLowerCase()] || null;
+  }
+  return null;
+}
+
+function cspDirectiveForResource(entry) {
+  switch (entry.initiatorType) {
+    case 'script':
+      return 'script-src';
+    case 'img':
+    case 'image':
+      return 'img-src';
+    case 'iframe':
+    case 'frame':
+      return 'frame-src';
+    case 'video':
+    case 'audio':
+      return 'media-src';
+    case 'fetch':
+    case 'xmlhttprequest':
+    case 'beacon':
+    case 'other':
+      return 'connect-src';
+    case 'link': {
+      // Resource Timing only says "link"; the element's rel/as says what for
+      const link = Array.from(document.querySelectorAll('link[href]')).find(el => el.href === entry.name);
+      if (link) return cspDirectiveForLink(link);
+      if (/\.(woff2?|ttf|otf|eot)(\?|$)/i.test(entry.name)) return 'font-src';
+      return /\.css(\?|$)/i.test(entry.name) ? 'style-src' : null;
+    }
+    case 'css':
+      if (/\.(woff2?|ttf|otf|eot)(\?|$)/i.test(entry.name)) return 'font-src';
+      if (/\.css(\?|$)/i.test(entry.name)) return 'style-src';
+      return 'img-src';
+    default:
+      return null;
+  }
+}
+
+async function cspHash(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return `'sha256-${btoa(String.fromCharCode(...new Uint8Array(digest)))}'`;
+}
+
+/**
+ * Subresource Integrity helpers
+ */
+const SRI_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+async function sriHash(buffer, algorithm = 'sha384') {
+  const digest = await crypto.subtle.digest(SRI_ALGORITHMS[algorithm], buffer);
+  return `${algorithm}-${btoa(String.fromCharCode(...new Uint8Array(digest)))}`;
+}
+
+function sriTag(resource, integrity) {
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  return resource.tag === 'SCRIPT' ?
+    `<script src="${attr(resource.url)}" integrity="${integrity}" crossorigin="anonymous"></script>` :
+    `<link rel="stylesheet" href="${attr(resource.url)}" integrity="${integrity}" crossorigin="anonymous">`;
+}
+
+/**
+ * HTML Sanitizer
+ * Strips executable markup before it reaches an HTML sink. Parsing happens
+ * in an inert <template>, so nothing runs while we inspect it.
+ */
+const DOM_URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'data'];
+const HTML_BLOCKED_ELEMENTS = [
+  'SCRIPT', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'BASE', 'LINK', 'META', 'NOSCRIPT',
+  // SVG animation can rewrite any attribute, href included, after sanitizing
+  'ANIMATE', 'SET', 'ANIMATEMOTION', 'ANIMATETRANSFORM'
+];
+
+function sanitizeMarkup(html) {
+  const template = document.createElement('template');
+  const removed = [];
+  template.innerHTML = html;
+
+  template.content.querySelectorAll('*').forEach(el => {
+    // SVG and MathML tag names keep their case
+    if (HTML_BLOCKED_ELEMENTS.includes(el.tagName.toUpperCase())) {
+      removed.push(`<${el.tagName.toLowerCase()}>`);
+      el.remove();
+      return;
+    }
+
+    Array.from(el.attributes).forEach(attr => {
+      const name = attr.name.toLowerCase();
+      const value = attr.value.replace(/[\u0000-\u0020]/g, '');
+      const unsafeURL = DOM_URL_ATTRIBUTES.includes(name) &&
+        (/^(javascript|vbscript):/i.test(value) ||
+         (/^data:/i.test(value) && !(el.tagName === 'IMG' && /^data:image\//i.test(value))));
+
+      if (name.startsWith('on') || name === 'srcdoc' || unsafeURL) {
+        removed.push(`${el.tagName.toLowerCase()}[${name}]`);
+        el.removeAttribute(attr.name);
+      }
+    });
+  });
+
+  return { html: template.innerHTML, removed };
+}
+
+/**
+ * Threat Center
+ * Accessible overlay listing every threat of the session. Built with DOM
+ * APIs only (no markup strings); all styling lives in style.css. Threats
+ * raised before <body> exists are held until DOMContentLoaded.
+ */
+class ThreatCenter {
+  constructor({ maxItems = 100, idSuffix = '' } = {}) {
+    this.maxItems = maxItems;
+    this.idSuffix = idSuffix;
+    this.items = [];
+    this.nextId = 1;
+    this.filter = 'all';
+    this.root = null;
+    this.pending = [];
+    this.flushPending = () => {
+      this.mount();
+      if (!this.root) return;
+      this.pending.splice(0).forEach(threat => this.add(threat));
+    };
+  }
+
+  mount() {
+    if (this.root || !document.body) return;
+
+    this.toggle = createElement('button', 'threat-center-toggle', {
+      type: 'button',
+      'aria-expanded': 'false',
+      'aria-controls': `threat-center-panel${this.idSuffix}`,
+      hidden: ''
+    });
+    this.toggle.appendChild(createElement('i', 'fas fa-shield-alt', { 'aria-hidden': 'true' }));
+    this.badge = createElement('span', 'threat-center-badge', { 'aria-hidden': 'true' });
+    this.toggle.appendChild(this.badge);
+    this.toggle.addEventListener('click', () => (this.isOpen() ? this.close() : this.open()));
+
+    this.panel = createElement('section', 'threat-center', {
+      id: `threat-center-panel${this.idSuffix}`,
+      role: 'dialog',
+      'aria-labelledby': `threat-center-title${this.idSuffix}`,
+      hidden: ''
+    });
+
+    const header = createElement('div', 'threat-center-header');
+    this.title = createElement('h2', 'threat-center-title', { id: `threat-center-title${this.idSuffix}`, tabindex: '-1' });
+    this.title.textContent = 'Threat Center';
+    const closeBtn = createElement('button', 'threat-center-close', {
+      type: 'button',
+      'aria-label': 'Close threat center'
+    });
+    closeBtn.textContent = '\u00d7';
+    closeBtn.addEventListener('click', () => this.close());
+    header.append(this.title, closeBtn);
+
+    const toolbar = createElement('div', 'threat-center-toolbar');
+    const label = createElement('label', null, { for: `threat-center-filter${this.idSuffix}` });
+    label.textContent = 'Severity';
+    this.filterSelect = createElement('select', 'threat-center-filter', { id: `threat-center-filter${this.idSuffix}` });
+    ['all', ...RULE_SEVERITIES.slice().reverse()].forEach(level => {
+      const option = createElement('option', null, { value: level });
+      option.textContent = level === 'all' ? 'All' : level.charAt(0).toUpperCase() + level.slice(1);
+      this.filterSelect.appendChild(option);
+    });
+    this.filterSelect.addEventListener('change', () => {
+      this.filter = this.filterSelect.value;
+      this.applyFilter();
+    });
+    const ackAll = createElement('button', 'threat-center-ack-all', { type: 'button' });
+    ackAll.textContent = 'Acknowledge all';
+    ackAll.addEventListener('click', () => this.items.forEach(item => this.acknowledge(item.id)));
+    toolbar.append(label, this.filterSelect, ackAll);
+
+    this.list = createElement('ul', 'threat-center-list', { 'aria-label': 'Detected threats' });
+    this.empty = createElement('p', 'threat-center-empty');
+    this.empty.textContent = 'No threats to show.';
+
+    this.live = createElement('div', 'sr-only', { 'aria-live': 'polite', role: 'status' });
+
+    this.panel.append(header, toolbar, this.list, this.empty);
+    this.panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+
+    this.root = createElement('div', 'threat-center-root');
+    this.root.append(this.toggle, this.panel, this.live);
+    document.body.appendChild(this.root);
+    this.updateBadge();
+  }
+
+  add(threat) {
+    this.mount();
+    if (!this.root) {
+      if (!this.pending.length) document.addEventListener('DOMContentLoaded', this.flushPending, { once: true });
+      this.pending.push(threat);
+      if (this.pending.length > this.maxItems) this.pending.shift();
+      return;
+    }
+
+    const item = { id: this.nextId++, threat, acknowledged: false };
+    item.element = this.renderItem(item);
+    this.items.unshift(item);
+    this.list.insertBefore(item.element, this.list.firstChild);
+
+    while (this.items.length > this.maxItems) {
+      this.items.pop().element.remove();
+    }
+
+    this.toggle.hidden = false;
+    this.live.textContent = `${threat.severity} severity threat: ${threat.type}`;
+    this.applyFilter();
+    this.updateBadge();
+  }
+
+  renderItem(item) {
+    const { threat } = item;
+    const detailsId = `threat-details-${item.id}${this.idSuffix}`;
+    const li = createElement('li', `threat-item severity-${threat.severity}`, { 'data-severity': threat.severity });
+
+    const summary = createElement('div', 'threat-item-summary');
+    const severity = createElement('span', 'threat-severity');
+    severity.textContent = threat.severity;
+    const type = createElement('span', 'threat-type');
+    type.textContent = threat.type;
+    const time = createElement('time', 'threat-time', { datetime: new Date(threat.timestamp).toISOString() });
+    time.textContent = new Date(threat.timestamp).toLocaleTimeString();
+
+    const expand = createElement('button', 'threat-item-expand', {
+      type: 'button',
+      'aria-expanded': 'false',
+      'aria-controls': detailsId
+    });
+    expand.textContent = 'Details';
+    const ack = createElement('button', 'threat-item-ack', { type: 'button' });
+    ack.textContent = 'Acknowledge';
+    const dismiss = createElement('button', 'threat-item-dismiss', {
+      type: 'button',
+      'aria-label': `Dismiss ${threat.type}`
+    });
+    dismiss.textContent = '\u00d7';
+    summary.append(severity, type, time, expand, ack, dismiss);
+
+    const details = createElement('div', 'threat-item-details', { id: detailsId, hidden: '' });
+    const facts = createElement('dl');
+    const data = threat.data || {};
+    [['Context', data.context], ['Rule', data.rule && `${data.rule} (${data.pack})`], ['Match', data.match]]
+      .filter(([, value]) => value)
+      .forEach(([term, value]) => {
+        const dt = createElement('dt');
+        dt.textContent = term;
+        const dd = createElement('dd');
+        dd.textContent = value;
+        facts.append(dt, dd);
+      });
+    const raw = createElement('pre');
+    raw.textContent = JSON.stringify(data, null, 2);
+    details.append(facts, raw);
+
+    expand.addEventListener('click', () => {
+      const open = details.hidden;
+      details.hidden = !open;
+      expand.setAttribute('aria-expanded', String(open));
+    });
+    ack.addEventListener('click', () => this.acknowledge(item.id));
+    dismiss.addEventListener('click', () => this.dismiss(item.id));
+
+    li.append(summary, details);
+    return li;
+  }
+
+  acknowledge(id) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item || item.acknowledged) return;
+
+    item.acknowledged = true;
+    item.element.classList.add('acknowledged');
+    const ack = item.element.querySelector('.threat-item-ack');
+    ack.disabled = true;
+    ack.textContent = 'Acknowledged';
+    this.updateBadge();
+  }
+
+  dismiss(id) {
+    const index = this.items.findIndex(entry => entry.id === id);
+    if (index === -1) return;
+
+    const [item] = this.items.splice(index, 1);
+    const next = item.element.nextElementSibling || item.element.previousElementSibling;
+    item.element.remove();
+    // Keep keyboard focus inside the list rather than dropping it on <body>
+    (next?.querySelector('.threat-item-dismiss') || this.title).focus();
+    this.applyFilter();
+    this.updateBadge();
+  }
+
+  applyFilter() {
+    let visible = 0;
+    this.items.forEach(item => {
+      const show = this.filter === 'all' || item.threat.severity === this.filter;
+      item.element.hidden = !show;
+      if (show) visible++;
+    });
+    this.empty.hidden = visible > 0;
+  }
+
+  updateBadge() {
+    const pending = this.items.filter(item => !item.acknowledged).length;
+    this.badge.textContent = pending > 99 ? '99+' : String(pending);
+    this.badge.hidden = pending === 0;
+    this.toggle.setAttribute('aria-label', `Threat center, ${pending} unacknowledged threat${pending === 1 ? '' : 's'}`);
+  }
+
+  isOpen() {
+    return !this.panel.hidden;
+  }
+
+  open() {
+    this.panel.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+    this.title.focus();
+  }
+
+  close() {
+    this.panel.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    this.toggle.focus();
+  }
+
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.flushPending);
+    this.pending = [];
+    this.root?.remove();
+    this.root = null;
+  }
+}
+
+function createElement(tag, className, attributes = {}) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * postMessage helpers
+ */
+function messageShape(data, depth = 0) {
+  if (data === null) return 'null';
+  if (typeof data === 'string') return `string(${data.length})`;
+  if (Array.isArray(data)) return `array(${data.length})`;
+  if (typeof data !== 'object') return typeof data;
+
+  const tag = Object.prototype.toString.call(data).slice(8, -1);
+  if (tag !== 'Object') return tag; // Blob, ArrayBuffer, ImageData...
+  if (depth >= 2) return 'object';
+  return Object.fromEntries(Object.keys(data).slice(0, 20).map(key => [key, messageShape(data[key], depth + 1)]));
+}
+
+function stringLeaves(value, depth = 0) {
+  if (typeof value === 'string') return [value];
+  if (!value || typeof value !== 'object' || depth >= 3) return [];
+  return Object.values(value).flatMap(item => stringLeaves(item, depth + 1));
+}
+
+function messageSource(source) {
+  if (!source) return 'unknown';
+  if (source === window) return 'self';
+  if (source === window.parent) return 'parent';
+  if (source === window.opener) return 'opener';
+  if (typeof MessagePort !== 'undefined' && source instanceof MessagePort) return 'port';
+  for (let i = 0; i < window.frames.length; i++) {
+    if (window.frames[i] === source) return 'frame';
+  }
+  return 'window';
+}
+
+/**
+ * Taint tracking
+ * Untrusted input is remembered by value; a sink write that contains one
+ * of those values is reported as a source→sink chain. Each sink kind only
+ * counts flows that can actually change its meaning.
+ */
+const TAINT_SINKS = {
+  script: {
+    severity: 'critical',
+    reaches: (taint, content) => content.includes(taint)
+  },
+  html: {
+    severity: 'high',
+    // Text without markup characters renders as text
+    reaches: (taint, content) => /[<>"'`=]/.test(taint) && content.includes(taint)
+  },
+  navigation: {
+    severity: 'high',
+    // Navigating to a script-bearing URL runs whatever was injected into it
+    reaches: (taint, content) => /^(javascript|data):/i.test(content.replace(/[\u0000-\u0020]/g, '')) &&
+      content.includes(taint)
+  },
+  url: {
+    severity: 'medium',
+    // Only a value that controls the scheme or host is dangerous
+    reaches: (taint, content) => {
+      const index = content.indexOf(taint);
+      return index !== -1 && index < urlOriginLength(content);
+    }
+  }
+};
+
+// Length of the scheme and authority at the start of `url`; 0 when relative
+function urlOriginLength(url) {
+  const match = /^\s*(?:[a-z][a-z\d+.-]*:)?[\\/]{2}[^/?#\\]*/i.exec(url) || /^\s*[a-z][a-z\d+.-]*:/i.exec(url);
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Native API integrity
+ * Paths from the global object whose property descriptors are snapshotted
+ * at start() and re-verified on every integrity check.
+ */
+const NATIVE_INTEGRITY_TARGETS = [
+  'window.fetch', 'window.WebSocket', 'window.EventSource', 'window.MutationObserver',
+  'window.eval', 'window.Function', 'window.setTimeout', 'window.setInterval', 'window.postMessage',
+  'navigator.sendBeacon',
+  'XMLHttpRequest.prototype.open', 'XMLHttpRequest.prototype.send', 'XMLHttpRequest.prototype.setRequestHeader',
+  'Document.prototype.createElement', 'Document.prototype.write', 'Document.prototype.cookie',
+  'Element.prototype.innerHTML', 'Element.prototype.outerHTML', 'Element.prototype.insertAdjacentHTML',
+  'Element.prototype.setAttribute', 'Node.prototype.appendChild', 'Node.prototype.insertBefore',
+  'EventTarget.prototype.addEventListener', 'Function.prototype.toString',
+  'Storage.prototype.getItem', 'Storage.prototype.setItem',
+  'JSON.parse', 'JSON.stringify', 'Crypto.prototype.getRandomValues', 'SubtleCrypto.prototype.digest'
+];
+// Globals and document properties a named element must not shadow
+const CLOBBERING_GLOBALS = ['SecurityAudit', 'CyberEmpireXSecurityAudit', 'SecurityAuditOptions', 'trustedTypes'];
+const CLOBBERING_DOCUMENT_PROPERTIES = [
+  'cookie', 'domain', 'referrer', 'location',
+  'createElement', 'getElementById', 'querySelector', 'querySelectorAll'
+];
+const PROTOTYPE_POLLUTION_KEY = /__proto__|constructor\]?[[.]\s*['"]?prototype/;
+// Captured before any page script can replace it
+const nativeFunctionToString = Function.prototype.toString;
+
+function readDescriptor(path) {
+  const parts = path.split('.');
+  const property = parts.pop();
+  let owner = parts.reduce((target, key) => (target == null ? undefined : target[key]), globalThis);
+
+  while (owner != null) {
+    const descriptor = Object.getOwnPropertyDescriptor(owner, property);
+    if (descriptor) return descriptor;
+    owner = Object.getPrototypeOf(owner);
+  }
+  return null;
+}
+
+function isNativeFunction(fn) {
+  try {
+    return /\{\s*\[native code\]\s*\}\s*$/.test(nativeFunctionToString.call(fn));
+  } catch (error) {
+    return false;
+  }
+}
+
+function describeValue(value) {
+  let text;
+  if (typeof value === 'function') {
+    text = nativeFunctionToString.call(value);
+  } else if (typeof Element !== 'undefined' && value instanceof Element) {
+    const attributes = ['id', 'name'].filter(name => value.hasAttribute(name))
+      .map(name => ` ${name}="${value.getAttribute(name)}"`).join('');
+    text = `<${value.tagName.toLowerCase()}${attributes}>`;
+  } else if (value === undefined) {
+    text = 'undefined';
+  } else {
+    try {
+      text = JSON.stringify(value);
+    } catch (error) {
+      text = Object.prototype.toString.call(value);
+    }
+  }
+  return text.length > 120 ? `${text.substring(0, 120)}…` : text;
+}
+
+function readCookies() {
+  // <form name="cookie"> shadows document.cookie; the prototype getter cannot be
+  const descriptor = readDescriptor('Document.prototype.cookie');
+  return descriptor?.get ? descriptor.get.call(document) : String(document.cookie);
+}
+
+function diffDescriptors(before, after) {
+  if (!after) return [{ field: 'descriptor', before: 'defined', after: 'deleted' }];
+
+  return ['value', 'get', 'set', 'writable', 'enumerable', 'configurable']
+    .filter(field => before[field] !== after[field])
+    .map(field => ({ field, before: describeValue(before[field]), after: describeValue(after[field]) }));
+}
+
+/**
+ * Security posture scorecard
+ * Weights add up to 100; a check either passes or forfeits its weight.
+ */
+const POSTURE_CHECKS = [
+  {
+    id: 'mixed-content',
+    title: 'No mixed content',
+    weight: 20,
+    recommendation: 'Load every subresource over https.'
+  },
+  {
+    id: 'missing-sri',
+    title: 'Third-party scripts and styles pinned with SRI',
+    weight: 15,
+    recommendation: 'Add integrity and crossorigin attributes; auditSubresourceIntegrity() prints the tags.'
+  },
+  {
+    id: 'insecure-forms',
+    title: 'Forms submit over https to trusted origins',
+    weight: 15,
+    recommendation: 'Post forms over https to this origin or one listed in allowedOrigins.'
+  },
+  {
+    id: 'csp-meta',
+    title: 'Content Security Policy present',
+    weight: 10,
+    recommendation: 'Add a CSP meta tag or header; generateCSP() drafts one from the resource inventory.'
+  },
+  {
+    id: 'noopener',
+    title: 'New-tab links cannot reach window.opener',
+    weight: 10,
+    recommendation: 'Add rel="noopener noreferrer" to links with target="_blank".'
+  },
+  {
+    id: 'third-party-iframes',
+    title: 'Frames only load allowed origins',
+    weight: 10,
+    recommendation: 'Remove the frame, add its origin to allowedOrigins or sandbox it.'
+  },
+  {
+    id: 'inline-handlers',
+    title: 'No inline event handlers',
+    weight: 10,
+    recommendation: 'Move on* attributes into addEventListener calls so CSP can drop \'unsafe-hashes\'.'
+  },
+  {
+    id: 'script-cookies',
+    title: 'Cookies hidden from JavaScript',
+    weight: 10,
+    recommendation: 'Set HttpOnly on these cookies unless scripts genuinely need them.'
+  }
+];
+
+const POSTURE_GRADES = [[90, 'A'], [80, 'B'], [70, 'C'], [60, 'D'], [0, 'F']];
+
+function renderPostureReport(result) {
+  const section = createElement('section', `posture-report posture-grade-${result.grade.toLowerCase()}`, {
+    'aria-label': 'Security posture report'
+  });
+
+  const header = createElement('header', 'posture-report-header');
+  const grade = createElement('span', 'posture-report-grade');
+  grade.textContent = result.grade;
+  const score = createElement('span', 'posture-report-score');
+  score.textContent = `${result.score}/100`;
+  const passed = createElement('span', 'posture-report-summary');
+  passed.textContent = `${result.checks.filter(check => check.passed).length} of ${result.checks.length} checks passed`;
+  header.append(grade, score, passed);
+
+  const list = createElement('ol', 'posture-report-checks');
+  result.checks.forEach(check => {
+    const item = createElement('li', `posture-check ${check.passed ? 'passed' : 'failed'}`, { 'data-check': check.id });
+    const title = createElement('strong', 'posture-check-title');
+    title.textContent = `${check.passed ? '✔' : '✘'} ${check.title}`;
+    const points = createElement('span', 'posture-check-score');
+    points.textContent = `${check.score}/${check.weight}`;
+    item.append(title, points);
+
+    if (!check.passed) {
+      const recommendation = createElement('p', 'posture-check-recommendation');
+      recommendation.textContent = check.recommendation;
+      const findings = createElement('ul', 'posture-check-findings');
+      check.findings.forEach(finding => {
+        const li = createElement('li');
+        li.textContent = Object.values(finding).join(' — ');
+        findings.append(li);
+      });
+      item.append(recommendation, findings);
+    }
+    list.append(item);
+  });
+
+  section.append(header, list);
+  return section;
+}
+
+/**
+ * Secret & PII Detection
+ * Provider-specific formats plus an entropy check for generic
+ * `key = "value"` assignments. Matched values are only ever logged redacted.
+ */
+const SECRET_PATTERNS = [
+  { id: 'private-key', kind: 'secret', severity: 'critical', regex: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g },
+  { id: 'telegram-bot-token', kind: 'secret', severity: 'critical', regex: /(?<!\d)\d{8,10}:AA[A-Za-z0-9_-]{33}(?![\w-])/g },
+  { id: 'aws-access-key', kind: 'secret', severity: 'critical', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    id: 'aws-secret-key',
+    kind: 'secret',
+    severity: 'critical',
+    regex: /aws.{0,20}?(?:secret|sk).{0,20}?['"]([A-Za-z0-9/+=]{40})['"]/gi,
+    group: 1,
+    entropy: true
+  },
+  { id: 'google-api-key', kind: 'secret', severity: 'high', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'github-token', kind: 'secret', severity: 'critical', regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { id: 'slack-token', kind: 'secret', severity: 'high', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+  { id: 'stripe-secret-key', kind: 'secret', severity: 'critical', regex: /\b[sr]k_live_[0-9a-zA-Z]{24,}\b/g },
+  { id: 'jwt', kind: 'secret', severity: 'high', regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: 'generic-secret',
+    kind: 'secret',
+    severity: 'medium',
+    regex: /(?:api[_-]?key|secret|token|passw(?:or)?d|auth|credential)s?['"]?\s*[:=]\s*['"]([A-Za-z0-9_\-+/=.]{16,})['"]/gi,
+    group: 1,
+    entropy: true
+  },
+  { id: 'email', kind: 'pii', severity: 'low', regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function redactSecret(value, kind) {
+  if (kind === 'pii' && value.includes('@')) {
+    const [user, domain] = value.split('@');
+    return `${user.charAt(0)}***@${domain}`;
+  }
+  if (value.length <= 12) return '*'.repeat(value.length);
+  return `${value.slice(0, 4)}…${value.slice(-2)} (${value.length} chars)`;
+}
+
+/**
+ * Redaction
+ * Applied by sanitize() to everything we log, journal or send. Levels:
+ *   minimal  - drop sensitive input types and field names only
+ *   balanced - also mask values shaped like cards, SSNs, emails and tokens
+ *   strict   - drop every form value, fully replace emails, strip query strings
+ */
+const REDACTION_LEVELS = ['minimal', 'balanced', 'strict'];
+const REDACTED = '[redacted]';
+
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Consent & Privacy Tiers
+ * Every feature declares the lowest tier it may run under. Global Privacy
+ * Control and Do Not Track cap the tier at 'local' (nothing leaves the device).
+ */
+const CONSENT_TIERS = ['off', 'local', 'anonymous', 'full'];
+const CONSENT_TIER_LABELS = {
+  off: 'Off',
+  local: 'On this device only',
+  anonymous: 'Anonymous threat reports',
+  full: 'Full diagnostics'
+};
+const FEATURE_TIERS = {
+  interactions: 'local',
+  network: 'local',
+  scanner: 'local',
+  sri: 'local',
+  dom: 'local',
+  csp: 'local',
+  trustedTypes: 'local',
+  secrets: 'local',
+  environment: 'local',
+  journal: 'local',
+  anomalies: 'local',
+  integrity: 'local',
+  taint: 'local',
+  messaging: 'local',
+  threatReports: 'anonymous',
+  heartbeat: 'anonymous',
+  fingerprinting: 'full', // DevTools and extension probes
+  telemetry: 'full' // URL, user agent and memory in heartbeats
+};
+
+class ConsentManager {
+  constructor({
+    tier = null,
+    defaultTier = 'local',
+    storageKey = `${AUDIT_STORAGE_PREFIX}:consent`,
+    idSuffix = '',
+    onChange
+  } = {}) {
+    this.explicitTier = CONSENT_TIERS.includes(tier) ? tier : null;
+    this.defaultTier = CONSENT_TIERS.includes(defaultTier) ? defaultTier : 'local';
+    this.storageKey = storageKey;
+    this.idSuffix = idSuffix;
+    this.onChange = onChange;
+    this.banner = null;
+  }
+
+  signals() {
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return {
+      gpc: navigator.globalPrivacyControl === true,
+      dnt: dnt === '1' || dnt === 'yes'
+    };
+  }
+
+  maxTier() {
+    const { gpc, dnt } = this.signals();
+    return gpc || dnt ? 'local' : 'full';
+  }
+
+  stored() {
+    try {
+      const tier = localStorage.getItem(this.storageKey);
+      return CONSENT_TIERS.includes(tier) ? tier : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  tier() {
+    const requested = this.explicitTier || this.stored() || this.defaultTier;
+    const max = this.maxTier();
+    return CONSENT_TIERS.indexOf(requested) > CONSENT_TIERS.indexOf(max) ? max : requested;
+  }
+
+  allows(feature) {
+    const required = FEATURE_TIERS[feature] || 'full';
+    return CONSENT_TIERS.indexOf(this.tier()) >= CONSENT_TIERS.indexOf(required);
+  }
+
+  set(tier) {
+    if (!CONSENT_TIERS.includes(tier)) {
+      throw new Error(`[SecurityAudit] Unknown consent tier "${tier}"`);
+    }
+
+    const previous = this.tier();
+    try {
+      localStorage.setItem(this.storageKey, tier);
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to persist consent choice:', error);
+    }
+    this.explicitTier = null;
+    this.hidePrompt();
+    if (this.tier() !== previous && this.onChange) this.onChange(this.tier(), previous);
+  }
+
+  needsPrompt() {
+    return !this.explicitTier && !this.stored();
+  }
+
+  showPrompt() {
+    if (this.banner) return;
+    if (!document.body) {
+      document.addEventListener('DOMContentLoaded', () => this.showPrompt(), { once: true });
+      return;
+    }
+
+    const max = this.maxTier();
+    const current = this.tier();
+    this.banner = createElement('section', 'consent-banner', {
+      role: 'region',
+      'aria-labelledby': `consent-banner-title${this.idSuffix}`
+    });
+
+    const title = createElement('h2', 'consent-banner-title', { id: `consent-banner-title${this.idSuffix}` });
+    title.textContent = 'Security monitoring';
+    const intro = createElement('p');
+    intro.textContent = 'This site watches for attacks against your browser session. ' +
+      'Choose what it may do; you can change this at any time.';
+
+    const fieldset = createElement('fieldset', 'consent-banner-options');
+    const legend = createElement('legend', 'sr-only');
+    legend.textContent = 'Monitoring level';
+    fieldset.appendChild(legend);
+
+    CONSENT_TIERS.forEach(tier => {
+      const id = `consent-tier-${tier}${this.idSuffix}`;
+      const input = createElement('input', null, {
+        type: 'radio',
+        name: `consent-tier${this.idSuffix}`,
+        id,
+        value: tier
+      });
+      input.checked = tier === current;
+      input.disabled = CONSENT_TIERS.indexOf(tier) > CONSENT_TIERS.indexOf(max);
+      const label = createElement('label', null, { for: id });
+      label.textContent = CONSENT_TIER_LABELS[tier];
+      fieldset.append(input, label);
+    });
+
+    this.banner.append(title, intro, fieldset);
+
+    if (max !== 'full') {
+      const note = createElement('p', 'consent-banner-note');
+      note.textContent = 'Your browser sends a Global Privacy Control or Do Not Track signal, ' +
+        'so nothing will be sent from this device.';
+      this.banner.appendChild(note);
+    }
+
+    const save = createElement('button', 'btn btn-primary consent-banner-save', { type: 'button' });
+    save.textContent = 'Save preference';
+    save.addEventListener('click', () => {
+      const selected = fieldset.querySelector('input:checked');
+      this.set(selected ? selected.value : current);
+    });
+    this.banner.appendChild(save);
+
+    document.body.appendChild(this.banner);
+  }
+
+  hidePrompt() {
+    this.banner?.remove();
+    this.banner = null;
+  }
+}
+
+/**
+ * Default Configuration
+ * Returned fresh on every call so instances never share mutable config.
+ */
+function defaultConfig() {
+  return {
+    autoStart: true,
+    // Separates this instance's storage keys, journal database and element
+    // ids from other instances'; a name already in use gets a -2, -3... suffix
+    namespace: '',
+    detectors: {
+      interactions: true, // link clicks and form submissions
+      network: true,
+      scanner: true, // periodic page, payload and request-rate scans
+      sri: true,
+      dom: true,
+      csp: true,
+      trustedTypes: true,
+      environment: true,
+      heartbeat: true,
+      secrets: true,
+      anomalies: true,
+      integrity: true,
+      taint: true,
+      messaging: true
+    },
+    redaction: {
+      level: 'balanced', // 'minimal' | 'balanced' | 'strict'
+      dropInputTypes: ['password', 'hidden'],
+      // Whole words only, so `passed`, `author` and `discard` stay readable;
+      // camelCase names are also tried split at the hump (`userPassword`)
+      sensitiveNames: '(^|[^a-z])(pass(word|wd|phrase)?|tokens?|secrets?|(credit[_-]?)?card|cc[_-]?num(ber)?|cvv|cvc|csc|ssn|social|auth|authorization|api[_-]?keys?|credentials?|pin)($|[^a-z])'
+    },
+    secrets: {
+      minEntropy: 3.5, // bits per character for generic key = "value" matches
+      pii: true,
+      maxLength: 100000 // characters scanned per source
+    },
+    scanInterval: 30000, // 30 seconds
+    sriInterval: 10 * 60 * 1000, // 10 minutes
+    heartbeatInterval: 60000, // 1 minute
+    integrityInterval: 15000, // 15 seconds
+    rulePacks: [DEFAULT_RULE_PACK],
+    anomalies: {
+      learningPeriod: 30000, // origins first seen after this are reported
+      cooldown: 30000, // between reports for the same stream and grade
+      ignore: ['Heartbeat', 'DOMInsertionSummary'],
+      burst: { capacity: 20, refillRate: 5 }, // token bucket per stream
+      flood: { window: 10000, minRate: 5, factor: 4 }, // sustained rate above max(minRate, baseline x factor)
+      baseline: { alpha: 0.2, warmup: 10000 },
+      streams: {} // per-stream overrides, e.g. { 'type:DOMInsertion': { burst: { capacity: 100 } } }
+    },
+    taint: {
+      minLength: 6, // shorter values match too much page text
+      maxSources: 200
+    },
+    domMonitor: {
+      trustedContainers: [], // CSS selectors whose subtrees are not analysed
+      summaryInterval: 5000 // 5 seconds
+    },
+    trustedTypes: {
+      mode: 'report', // 'off' | 'report' (log only) | 'enforce' (strip untrusted markup)
+      policyName: 'cyberempirex-audit'
+    },
+    consent: {
+      tier: null, // fix the tier here to skip the prompt, e.g. for embedding or tests
+      defaultTier: 'local', // until the visitor chooses
+      prompt: true
+    },
+    threatCenter: {
+      enabled: true,
+      maxItems: 100
+    },
+    journal: {
+      enabled: true,
+      retention: 7 * 24 * 60 * 60 * 1000, // 7 days
+      maxEntries: 5000
+    },
+    endpoints: {
+      threats: 'https://api.cyberempirex.io/v1/threats',
+      telemetry: 'https://analytics.cyberempirex.io/v1/telemetry',
+      csp: 'https://api.cyberempirex.io/v1/csp-reports'
+    },
+    transport: {
+      batchSize: 20,
+      flushInterval: 5000, // 5 seconds
+      compress: true,
+      headers: { 'X-Security-Token': 'cyberempirex-audit-system' }
+    },
+    network: {
+      mode: 'monitor' // 'monitor' (log only) | 'enforce' (block disallowed origins)
+    },
+    messaging: {
+      mode: 'monitor', // 'monitor' (log only) | 'enforce' (drop messages from disallowed origins)
+      wrapOutbound: true // flag window.postMessage(..., '*')
+    },
+    allowedOrigins: [
+      'https://cyberempirex.github.io',
+      'https://github.com/CyberEmpireX'
+    ]
+  };
+}
+
+function mergeConfig(target, source) {
+  Object.keys(source || {}).forEach(key => {
+    const value = source[key];
+    const isPlainObject = Object.prototype.toString.call(value) === '[object Object]';
+
+    if (isPlainObject && Object.prototype.toString.call(target[key]) === '[object Object]') {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Does `url` fall under an allowedOrigins entry? Origins must be equal; an
+ * entry with a path also requires the URL's path to match it at a '/'
+ * boundary, so neither `https://site.io.evil.com` nor `/CyberEmpireXevil`
+ * slips past a plain prefix test.
+ */
+function matchesAllowedOrigin(url, entry) {
+  let parsed;
+  let allowed;
+  try {
+    parsed = new URL(url, window.location.href);
+    allowed = new URL(entry);
+  } catch (error) {
+    return false;
+  }
+
+  if (parsed.origin === 'null' || parsed.origin !== allowed.origin) return false;
+  const path = allowed.pathname.replace(/\/+$/, '');
+  return !path || parsed.pathname === path || parsed.pathname.startsWith(`${path}/`);
+}
+
 class SecurityAudit {
-  constructor() {
-    this.config = {
-      scanInterval: 30000, // 30 seconds
-      maxRequestRate: 5, // Max 5 requests/second
-      xssPatterns: [
-        /<script\b[^>]*>([\s\S]*?)<\/script>/gi,
-        /javascript:[^"']+/gi,
-        /on\w+="[^"]+"|on\w+='[^']+'/gi
-      ],
-      sqlPatterns: [
-        /(\b(SELECT|INSERT|UPDATE|DELETE|DROP|UNION|EXEC|ALTER)\b)/gi,
-        /(\b(OR|AND)\s+['"\d\w]+\s*=\s*['"\d\w]+)/gi
-      ],
-      allowedOrigins: [
-        'https://cyberempirex.github.io',
-        'https://github.com/CyberEmpireX'
-      ]
+  constructor(options = {}) {
+    this.config = mergeConfig(defaultConfig(), options);
+    this.namespace = claimNamespace(this.config.namespace);
+    
+    this.state = {
+      threatsDetected: 0,
+      lastScan: Date.now(),
+      cspInventory: CSP_FETCH_DIRECTIVES.reduce((inventory, directive) => {
+        inventory[directive] = new Set();
+        return inventory;
+      }, {}),
+      sriReported: new Set(),
+      secretsReported: new Set(),
+      integrityReported: new Set(),
+      messageOriginsReported: new Set(),
+      sessionStart: Date.now(),
+      sessionId: Date.now().toString(36) + Math.random().toString(36).slice(2, 8)
+    };
+
+    // Keep the genuine fetch and sendBeacon so our own reports never pass
+    // through the monitored wrappers installed in monitorNetwork(), even
+    // when consent creates the transport after those are in place
+    this.nativeFetch = window.fetch.bind(window);
+    this.nativeSendBeacon = navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null;
+
+    this.subscribers = [];
+    this.consent = new ConsentManager({
+      storageKey: this.storageKey('consent'),
+      idSuffix: this.idSuffix(),
+      ...this.config.consent,
+      onChange: tier => this.applyConsent(tier)
+    });
+    this.threatCenter = this.config.threatCenter.enabled
+      ? new ThreatCenter({ idSuffix: this.idSuffix(), ...this.config.threatCenter })
+      : null;
+    this.rules = new RuleEngine();
+    this.transport = null;
+    this.journal = null;
+    this.syncConsentServices();
+    this.anomalies = new AnomalyDetector({ clock: () => this.now(), ...this.config.anomalies });
+    this.config.rulePacks.forEach(pack => this.loadRulePack(pack));
+
+    this.listeners = [];
+    this.running = false;
+    this.recording = null;
+    this.simulation = null;
+    
+    if (this.config.autoStart) this.start();
+  }
+
+  /**
+   * Install every enabled detector. Safe to call again after stop().
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+
+    if (this.config.consent.prompt && this.consent.needsPrompt()) this.consent.showPrompt();
+
+    const enabled = name => this.config.detectors[name] && this.allows(name);
+    if (enabled('interactions')) this.setupEventListeners();
+    if (enabled('network')) this.monitorNetwork();
+    if (enabled('scanner')) this.startScanner();
+    if (enabled('sri')) this.startIntegrityAudit();
+    if (enabled('environment')) this.checkEnvironment();
+    if (enabled('dom')) this.monitorDOMChanges();
+    if (enabled('csp')) this.monitorCSPViolations();
+    if (enabled('trustedTypes')) this.setupTrustedTypes();
+    if (enabled('taint')) this.startTaintTracking();
+    if (enabled('messaging')) this.monitorMessaging();
+    if (enabled('heartbeat')) this.setupHeartbeat();
+    // Last, so our own network wrappers are part of the baseline
+    if (enabled('integrity')) this.startIntegrityMonitor();
+    console.log(`%c[SecurityAudit] Initialized (${this.consent.tier()} mode)`, 'color: #38b2ac; font-weight: bold;');
+    return this;
+  }
+
+  allows(feature) {
+    return this.consent.allows(feature);
+  }
+
+  // The unnamespaced instance keeps the original keys and ids
+  storageKey(name) {
+    return this.namespace ? `${AUDIT_STORAGE_PREFIX}:${this.namespace}:${name}` : `${AUDIT_STORAGE_PREFIX}:${name}`;
+  }
+
+  idSuffix() {
+    return this.namespace ? `-${this.namespace}` : '';
+  }
+
+  /**
+   * The report transport and the journal only exist while consent covers
+   * them: neither touches storage or the network before then, and
+   * withdrawing consent discards what they kept.
+   */
+  syncConsentServices() {
+    const queueKey = this.config.transport.queueKey || this.storageKey('queue');
+    if (this.allows('threatReports') || this.allows('heartbeat')) {
+      this.transport = this.transport || new ReportTransport({
+        ...this.config.transport,
+        queueKey,
+        endpoints: this.config.endpoints,
+        fetch: this.nativeFetch,
+        sendBeacon: this.nativeSendBeacon
+      });
+    } else if (this.transport) {
+      this.transport.clear();
+      this.transport.stop();
+      this.transport = null;
+    } else {
+      // Reports queued by an earlier page load under a wider tier
+      try {
+        localStorage.removeItem(queueKey);
+      } catch (error) {
+        // Storage unavailable; nothing was persisted either
+      }
+    }
+
+    if (this.config.journal.enabled && this.allows('journal')) {
+      this.journal = this.journal || new ThreatJournal({
+        dbName: this.namespace ? `${AUDIT_STORAGE_PREFIX}:${this.namespace}` : AUDIT_STORAGE_PREFIX,
+        ...this.config.journal
+      });
+    } else if (this.journal) {
+      const journal = this.journal;
+      this.journal = null;
+      journal.clear().finally(() => journal.close());
+    }
+  }
+
+  /**
+   * Re-install hooks for a new consent tier and drop anything queued for
+   * sending that the visitor no longer agrees to
+   */
+  applyConsent(tier) {
+    this.syncConsentServices();
+
+    if (this.running) {
+      this.stop();
+      this.start();
+    }
+    console.log(`[SecurityAudit] Consent tier changed to ${tier}`);
+  }
+
+  init() {
+    return this.start();
+  }
+
+  /**
+   * Remove every hook installed by start(). Reporting, the journal and
+   * subscribers stay available until destroy().
+   */
+  stop() {
+    if (!this.running) return this;
+    this.running = false;
+
+    clearInterval(this.scannerInterval);
+    clearInterval(this.sriInterval);
+    clearInterval(this.heartbeatInterval);
+    clearInterval(this.integrityInterval);
+    this.integrity = null;
+    this.taint = null;
+    clearTimeout(this.domSummaryTimer);
+    this.domObserver?.disconnect();
+    this.domObserver = null;
+    this.domSummary = null;
+    this.restoreNetwork();
+    this.restoreMessaging();
+
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    return this;
+  }
+
+  /**
+   * Add an event listener that stop() will remove again
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  setupEventListeners() {
+    // Monitor all outgoing links
+    this.listen(document, 'click', (e) => {
+      const link = e.target.closest('a');
+      if (link && link.href && !link.href.startsWith(window.location.origin)) {
+        this.logEvent('ExternalNavigation', {
+          url: link.href,
+          text: link.textContent.trim()
+        });
+      }
+    });
+
+    // Form submission monitoring
+    this.listen(document, 'submit', (e) => {
+      const form = e.target;
+      const inputs = Array.from(form.elements).filter(el => el.name);
+      const data = inputs.reduce((obj, el) => {
+        obj[el.name] = this.redactField(el);
+        return obj;
+      }, {});
+      
+      this.logEvent('FormSubmission', {
+        formId: form.id || form.name || 'anonymous',
+        action: form.action,
+        method: form.method,
+        data: this.sanitize(data)
+      });
+    });
+  }
+
+  /**
+   * Network Monitoring
+   * Wraps fetch, XMLHttpRequest, WebSocket, EventSource and sendBeacon so
+   * every request produces the same APICall event. Originals are kept in
+   * this.networkOriginals and put back by restoreNetwork().
+   */
+  monitorNetwork() {
+    const audit = this;
+    const originals = this.networkOriginals = {
+      fetch: window.fetch,
+      xhrOpen: XMLHttpRequest.prototype.open,
+      xhrSetRequestHeader: XMLHttpRequest.prototype.setRequestHeader,
+      xhrSend: XMLHttpRequest.prototype.send,
+      WebSocket: window.WebSocket,
+      EventSource: window.EventSource,
+      sendBeacon: navigator.sendBeacon
+    };
+
+    window.fetch = async (...args) => {
+      const [resource, config] = args;
+      const url = typeof Request !== 'undefined' && resource instanceof Request ? resource.url : String(resource);
+      const method = config?.method || resource?.method || 'GET';
+
+      if (!this.interceptRequest('fetch', url, { method, headers: config?.headers, body: config?.body })) {
+        throw new TypeError(`[SecurityAudit] Blocked request to ${url}`);
+      }
+
+      try {
+        const response = await this.nativeFetch(...args);
+        if (!response.ok) {
+          this.logThreat('SuspiciousResponse', {
+            status: response.status,
+            url: response.url,
+            transport: 'fetch'
+          });
+        }
+        return response;
+      } catch (error) {
+        this.logThreat('FetchError', {
+          error: error.message,
+          stack: error.stack
+        });
+        throw error;
+      }
+    };
+
+    const xhrRequests = new WeakMap();
+    XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+      xhrRequests.set(this, { method: String(method).toUpperCase(), url: String(url), headers: {} });
+      return originals.xhrOpen.call(this, method, url, ...rest);
+    };
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+      const request = xhrRequests.get(this);
+      if (request) request.headers[name] = value;
+      return originals.xhrSetRequestHeader.call(this, name, value);
+    };
+    XMLHttpRequest.prototype.send = function(body) {
+      const request = xhrRequests.get(this);
+      if (request && !audit.interceptRequest('xhr', request.url, { ...request, body })) {
+        throw new DOMException(`[SecurityAudit] Blocked request to ${request.url}`, 'SecurityError');
+      }
+
+      this.addEventListener('loadend', () => {
+        if (this.status >= 400) {
+          audit.logThreat('SuspiciousResponse', {
+            status: this.status,
+            url: this.responseURL,
+            transport: 'xhr'
+          });
+        } else if (this.status === 0 && request) {
+          audit.logThreat('NetworkError', { url: request.url, transport: 'xhr' });
+        }
+      });
+      return originals.xhrSend.call(this, body);
+    };
+
+    if (originals.WebSocket) {
+      window.WebSocket = class extends originals.WebSocket {
+        constructor(url, protocols) {
+          if (!audit.interceptRequest('websocket', url)) {
+            throw new DOMException(`[SecurityAudit] Blocked connection to ${url}`, 'SecurityError');
+          }
+          super(url, protocols);
+        }
+      };
+    }
+
+    if (originals.EventSource) {
+      window.EventSource = class extends originals.EventSource {
+        constructor(url, init) {
+          if (!audit.interceptRequest('eventsource', url)) {
+            throw new DOMException(`[SecurityAudit] Blocked connection to ${url}`, 'SecurityError');
+          }
+          super(url, init);
+        }
+      };
+    }
+
+    if (originals.sendBeacon) {
+      navigator.sendBeacon = function(url, data) {
+        if (!audit.interceptRequest('beacon', url, { method: 'POST', body: data })) return false;
+        return originals.sendBeacon.call(navigator, url, data);
+      };
+    }
+
+    this.networkWrappers = {
+      fetch: window.fetch,
+      xhrOpen: XMLHttpRequest.prototype.open,
+      xhrSetRequestHeader: XMLHttpRequest.prototype.setRequestHeader,
+      xhrSend: XMLHttpRequest.prototype.send,
+      WebSocket: window.WebSocket,
+      EventSource: window.EventSource,
+      sendBeacon: navigator.sendBeacon
+    };
+  }
+
+  /**
+   * Log a request and apply the origin policy; returns false when it must
+   * be blocked
+   */
+  interceptRequest(transport, url, { method = 'GET', headers: init, body } = {}) {
+    // A stopped instance whose wrapper is still chained under another one
+    if (!this.running && !this.simulation) return true;
+
+    // A Headers instance (or entry list) becomes a plain, cloneable object
+    let headers;
+    try {
+      headers = Object.fromEntries(new Headers(init ?? {}));
+    } catch (error) {
+      headers = {}; // invalid headers; the browser rejects the request itself
+    }
+
+    let endpoint = String(url);
+    try {
+      endpoint = new URL(endpoint, window.location.href).href;
+    } catch (error) {
+      // Leave unparseable URLs as given; the browser will reject them
+    }
+
+    const textBody = typeof body === 'string' || body instanceof URLSearchParams ? String(body) : undefined;
+    this.record('request', { transport, url: endpoint, method, headers, body: textBody });
+
+    const allowed = this.isAllowedOrigin(endpoint);
+    this.logEvent('APICall', {
+      endpoint,
+      method,
+      headers,
+      transport,
+      allowed,
+      timestamp: this.now()
+    });
+
+    if (this.config.detectors.secrets) {
+      this.detectSecrets(decodeURIComponentSafe(endpoint), `Request:${transport}`);
+      if (textBody !== undefined) {
+        this.detectSecrets(textBody, `RequestBody:${transport}`);
+      } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        this.detectSecrets(Array.from(body.entries(), ([key, value]) => `${key}=${value}`).join('&'), `RequestBody:${transport}`);
+      }
+    }
+
+    if (allowed) return true;
+
+    const mode = this.config.network.mode;
+    this.logThreat(mode === 'enforce' ? 'BlockedRequest' : 'DisallowedOrigin', {
+      endpoint,
+      method,
+      transport,
+      mode
+    });
+    return mode !== 'enforce';
+  }
+
+  isAllowedOrigin(url) {
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (error) {
+      return false;
+    }
+
+    if (['data:', 'blob:'].includes(parsed.protocol)) return true;
+    if (parsed.origin === window.location.origin) return true;
+    if (/^wss?:$/.test(parsed.protocol) && parsed.host === window.location.host) return true;
+    return this.config.allowedOrigins.some(entry => matchesAllowedOrigin(parsed.href, entry));
+  }
+
+  restoreNetwork() {
+    const originals = this.networkOriginals;
+    const wrappers = this.networkWrappers;
+    if (!originals) return;
+
+    // Only unwrap hooks that are still ours; another script (or another
+    // SecurityAudit instance) may have wrapped on top of them since
+    const restore = (owner, key, name) => {
+      if (!originals[name]) return;
+      if (owner[key] === wrappers[name]) {
+        owner[key] = originals[name];
+      } else {
+        console.warn(`[SecurityAudit] ${name} was re-wrapped by another script; leaving it in place`);
+      }
+    };
+
+    restore(window, 'fetch', 'fetch');
+    restore(XMLHttpRequest.prototype, 'open', 'xhrOpen');
+    restore(XMLHttpRequest.prototype, 'setRequestHeader', 'xhrSetRequestHeader');
+    restore(XMLHttpRequest.prototype, 'send', 'xhrSend');
+    restore(window, 'WebSocket', 'WebSocket');
+    restore(window, 'EventSource', 'EventSource');
+    restore(navigator, 'sendBeacon', 'sendBeacon');
+    this.networkOriginals = null;
+    this.networkWrappers = null;
+  }
+
+
+  /**
+   * Log inbound messages against allowedOrigins and, optionally, flag
+   * outbound messages posted to any origin ('*'). Only listeners added
+   * after ours can be shielded from a blocked message.
+   *
+   * The wrapper only sees window.postMessage, i.e. messages to ourselves:
+   * frame.contentWindow.postMessage(), parent.postMessage() and the like
+   * run the target window's own method. Page code that posts to other
+   * windows should go through audit.postMessage() instead.
+   */
+  monitorMessaging() {
+    this.listen(window, 'message', event => this.inspectMessage(event), true);
+
+    if (this.config.messaging.wrapOutbound) {
+      const audit = this;
+      const original = this.messagingOriginal = window.postMessage;
+      window.postMessage = function(message, targetOrigin, transfer) {
+        const options = targetOrigin && typeof targetOrigin === 'object' ? targetOrigin : { targetOrigin, transfer };
+        const pinned = audit.inspectOutboundMessage(message, options.targetOrigin, window.location.origin);
+        if (pinned === options.targetOrigin) return original.apply(this, arguments);
+        return original.call(this, message, pinned, options.transfer);
+      };
+      this.messagingWrapper = window.postMessage;
+    }
+  }
+
+  restoreMessaging() {
+    // Leave a later wrapper in place rather than dropping it
+    if (this.messagingWrapper && window.postMessage === this.messagingWrapper) {
+      window.postMessage = this.messagingOriginal;
+    }
+    this.messagingOriginal = null;
+    this.messagingWrapper = null;
+  }
+
+  inspectMessage(event) {
+    const origin = event.origin || 'null';
+    const from = messageSource(event.source);
+    const shape = messageShape(event.data);
+    // 'null' (sandboxed frames, file: pages) is never trusted
+    const allowed = origin !== 'null' && this.messageOrigins().has(origin);
+
+    this.logEvent('PostMessage', { origin, from, shape, allowed });
+    stringLeaves(event.data).forEach(value => this.checkForThreats(value, `PostMessage:${origin}`));
+
+    if (allowed) return true;
+
+    const mode = this.config.messaging.mode;
+    if (mode === 'enforce') {
+      this.logThreat('BlockedMessage', { origin, from, shape, mode });
+      event.stopImmediatePropagation();
+      return false;
+    }
+
+    // Embeds (forms, video players) message constantly: one threat per
+    // origin, the rest are only PostMessage events
+    if (!this.state.messageOriginsReported.has(origin)) {
+      this.state.messageOriginsReported.add(origin);
+      this.logThreat('DisallowedMessageOrigin', { origin, from, shape, mode });
+    }
+    return true;
+  }
+
+  /**
+   * Origins trusted to message us: our own plus every allowedOrigins entry
+   * without a path. event.origin carries no path, so an entry scoped to
+   * one (https://github.com/CyberEmpireX) can't vouch for its sender.
+   */
+  messageOrigins() {
+    const origins = new Set([window.location.origin]);
+    this.config.allowedOrigins.forEach(entry => {
+      try {
+        const parsed = new URL(entry);
+        if (parsed.pathname.replace(/\/+$/, '') === '') origins.add(parsed.origin);
+      } catch (error) {
+        // Ignore malformed entries
+      }
+    });
+    origins.delete('null');
+    return origins;
+  }
+
+  /**
+   * Post a message to another window (or iframe element) with the same
+   * checks as the window.postMessage wrapper. In enforce mode '*' is
+   * pinned to the target's origin when it is known and the message is
+   * dropped when it isn't. Returns whether the message was sent.
+   */
+  postMessage(target, message, targetOrigin, transfer) {
+    const frame = typeof HTMLIFrameElement !== 'undefined' && target instanceof HTMLIFrameElement ? target : null;
+    const targetWindow = frame ? frame.contentWindow : target;
+    if (!targetWindow || typeof targetWindow.postMessage !== 'function') {
+      throw new TypeError('postMessage target must be a window or an iframe element');
+    }
+
+    const pinned = this.running
+      ? this.inspectOutboundMessage(message, targetOrigin, this.windowOrigin(targetWindow, frame))
+      : targetOrigin;
+    if (pinned === null) return false;
+
+    targetWindow.postMessage(message, pinned, transfer);
+    return true;
+  }
+
+  /**
+   * Best-known origin of a window: ours, one of our iframes (from its src,
+   * or ours for srcdoc/about:blank unless sandboxed) or our parent via
+   * location.ancestorOrigins. undefined when it can't be told, 'null'
+   * when it is opaque.
+   */
+  windowOrigin(targetWindow, frame) {
+    if (targetWindow === window) return window.location.origin;
+
+    const owner = frame || Array.from(document.querySelectorAll('iframe'))
+      .find(iframe => iframe.contentWindow === targetWindow);
+    if (owner) {
+      const sandbox = owner.getAttribute('sandbox');
+      if (sandbox !== null && !/\ballow-same-origin\b/.test(sandbox)) return 'null';
+
+      const src = owner.getAttribute('src');
+      if (owner.hasAttribute('srcdoc') || !src || src === 'about:blank') return window.location.origin;
+      try {
+        return new URL(src, document.baseURI).origin;
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    if (targetWindow === window.parent && window.location.ancestorOrigins?.length) {
+      return window.location.ancestorOrigins[0];
+    }
+    return undefined;
+  }
+
+  /**
+   * '*' hands the payload to whatever document the target window holds
+   * by the time it arrives. In enforce mode the message is pinned to the
+   * target's known origin; with none known it is dropped (null is
+   * returned). An opaque target origin can't be named at all, so '*'
+   * is left alone there.
+   */
+  inspectOutboundMessage(message, targetOrigin, knownOrigin) {
+    if (targetOrigin !== '*') return targetOrigin;
+
+    const mode = this.config.messaging.mode;
+    this.logThreat('WildcardPostMessage', {
+      shape: messageShape(message),
+      target: knownOrigin || 'unknown',
+      mode
+    });
+
+    if (mode !== 'enforce' || knownOrigin === 'null') return targetOrigin;
+    return knownOrigin || null;
+  }
+
+  startTaintTracking() {
+    this.taint = { sources: new Map(), reported: new Set() };
+
+    this.collectURLTaint(window.location.href);
+
+    if (document.referrer) {
+      try {
+        const referrer = new URL(document.referrer);
+        if (referrer.origin !== window.location.origin) this.addTaint('Referrer', referrer.href);
+        referrer.searchParams.forEach((value, key) => this.addTaint(`Referrer:${key}`, value));
+      } catch (error) {
+        // An opaque referrer carries nothing we can match
+      }
+    }
+    if (window.name) this.addTaint('WindowName', window.name);
+
+    this.listen(window, 'hashchange', () => this.collectHashTaint());
+    this.listen(window, 'message', event => {
+      stringLeaves(event.data).forEach(value => this.addTaint(`postMessage:${event.origin || 'null'}`, value));
+    });
+    // location.href and friends cannot be wrapped; the Navigation API sees them
+    if (window.navigation?.addEventListener) {
+      this.listen(window.navigation, 'navigate', event => {
+        this.checkTaint('navigation', event.destination.url, 'location');
+      });
+    }
+  }
+
+  collectURLTaint(href) {
+    const url = new URL(href, window.location.href);
+    url.searchParams.forEach((value, key) => this.addTaint(`URLParam:${key}`, value));
+    this.collectHashTaint(url.hash);
+  }
+
+  collectHashTaint(fragment = window.location.hash) {
+    const hash = fragment.slice(1);
+    if (!hash) return;
+    this.addTaint('URLHash', decodeURIComponentSafe(hash));
+    new URLSearchParams(hash).forEach((value, key) => this.addTaint(`URLHash:${key}`, value));
+  }
+
+  addTaint(source, value) {
+    if (!this.taint || typeof value !== 'string') return;
+    const { minLength, maxSources } = this.config.taint;
+
+    const decoded = decodeURIComponentSafe(value).trim();
+    const variants = [value.trim(), decoded];
+    // Inserted markup is seen re-serialised: <svg onload=x> comes back as <svg onload="x"></svg>
+    if (/[<>]/.test(decoded)) {
+      const template = document.createElement('template');
+      template.innerHTML = decoded;
+      variants.push(template.innerHTML.trim());
+    }
+
+    variants.forEach(taint => {
+      if (taint.length < minLength || this.taint.sources.has(taint)) return;
+      // Oldest sources make way for new ones
+      if (this.taint.sources.size >= maxSources) {
+        this.taint.sources.delete(this.taint.sources.keys().next().value);
+      }
+      this.taint.sources.set(taint, { source, value: decoded });
+    });
+  }
+
+  /**
+   * Report every tracked value that reaches this sink
+   */
+  checkTaint(kind, content, sink) {
+    if (!this.taint || typeof content !== 'string' || !content) return false;
+
+    const { severity, reaches } = TAINT_SINKS[kind];
+    let tainted = false;
+    this.taint.sources.forEach(({ source, value }, taint) => {
+      if (!reaches(taint, content)) return;
+      tainted = true;
+
+      // One report per flow; an innerHTML write is seen again as an insertion
+      const key = `${source}|${kind}|${value}`;
+      if (this.taint.reported.has(key)) return;
+      this.taint.reported.add(key);
+
+      const index = content.indexOf(taint);
+      this.logThreat('TaintedSink', {
+        chain: `${source} → ${sink}`,
+        source,
+        sink,
+        sinkKind: kind,
+        value: value.substring(0, 100),
+        snippet: content.substring(Math.max(0, index - 40), index + taint.length + 40).substring(0, 200)
+      }, severity);
+    });
+    return tainted;
+  }
+
+  startIntegrityMonitor() {
+    this.snapshotIntegrity();
+    this.integrityInterval = setInterval(() => {
+      this.verifyIntegrity();
+    }, this.config.integrityInterval);
+  }
+
+  /**
+   * Record the current descriptors as the baseline. Functions that are
+   * already non-native (and not our own network wrappers) were replaced
+   * before we loaded and are reported immediately.
+   */
+  snapshotIntegrity() {
+    const ours = new Set([...Object.values(this.networkWrappers || {}), this.messagingWrapper]);
+    this.integrity = {
+      descriptors: new Map(),
+      prototypeKeys: new Set(Reflect.ownKeys(Object.prototype))
     };
-    
-    this.state = {
-      requests: [],
-      threatsDetected: 0,
-      lastScan: Date.now(),
-      sessionStart: Date.now()
+
+    NATIVE_INTEGRITY_TARGETS.forEach(path => {
+      const descriptor = readDescriptor(path);
+      if (!descriptor) return;
+      this.integrity.descriptors.set(path, descriptor);
+
+      const diff = ['value', 'get', 'set']
+        .filter(field => typeof descriptor[field] === 'function')
+        .filter(field => !ours.has(descriptor[field]) && !isNativeFunction(descriptor[field]))
+        .map(field => ({ field, before: '[native code]', after: describeValue(descriptor[field]) }));
+      if (diff.length) this.reportIntegrity('NativeTampering', path, diff);
+    });
+
+    this.detectClobbering();
+  }
+
+  verifyIntegrity() {
+    if (!this.integrity) return;
+
+    this.integrity.descriptors.forEach((before, path) => {
+      const diff = diffDescriptors(before, readDescriptor(path));
+      if (diff.length) this.reportIntegrity('NativeTampering', path, diff);
+    });
+
+    Reflect.ownKeys(Object.prototype)
+      .filter(key => !this.integrity.prototypeKeys.has(key))
+      .forEach(key => {
+        const descriptor = Object.getOwnPropertyDescriptor(Object.prototype, key);
+        this.reportIntegrity('PrototypePollution', `Object.prototype.${String(key)}`, [{
+          field: 'value',
+          before: 'undefined',
+          after: describeValue('value' in descriptor ? descriptor.value : descriptor.get)
+        }]);
+      });
+
+    this.detectClobbering();
+  }
+
+  /**
+   * Named elements (id/name attributes) that shadow a global or document
+   * property we depend on
+   */
+  detectClobbering() {
+    const check = (owner, label, name) => {
+      const candidates = Array.from(document.querySelectorAll(`[id="${name}"], [name="${name}"]`));
+      if (!candidates.length) return;
+
+      let value;
+      try {
+        value = owner[name];
+      } catch (error) {
+        return;
+      }
+      const shadowing = value instanceof Element
+        ? candidates.includes(value) && value
+        : value && typeof value.length === 'number' && typeof value.item === 'function' &&
+          Array.from(value).find(node => candidates.includes(node));
+      if (shadowing) {
+        this.reportIntegrity('DOMClobbering', `${label}.${name}`, [{
+          field: 'value',
+          before: 'not a DOM element',
+          after: describeValue(shadowing)
+        }]);
+      }
     };
-    
-    this.init();
+
+    CLOBBERING_GLOBALS.forEach(name => check(window, 'window', name));
+    CLOBBERING_DOCUMENT_PROPERTIES.forEach(name => check(document, 'document', name));
   }
 
-  init() {
-    this.setupEventListeners();
-    this.startScanner();
-    this.checkEnvironment();
-    this.monitorDOMChanges();
-    this.setupHeartbeat();
-    console.log('%c[SecurityAudit] Initialized', 'color: #38b2ac; font-weight: bold;');
+  reportIntegrity(type, property, diff) {
+    // The same change is reported once; a further change is a new finding
+    const key = `${type}|${property}|${JSON.stringify(diff)}`;
+    if (this.state.integrityReported.has(key)) return;
+    this.state.integrityReported.add(key);
+
+    this.logThreat(type, { property, diff });
   }
 
-  setupEventListeners() {
-    // Monitor all outgoing links
-    document.addEventListener('click', (e) => {
-      const link = e.target.closest('a');
-      if (link && link.href && !link.href.startsWith(window.location.origin)) {
-        this.logEvent('ExternalNavigation', {
-          url: link.href,
-          text: link.textContent.trim()
+  startScanner() {
+    this.scannerInterval = setInterval(() => {
+      this.scanPage();
+      this.detectMaliciousPayloads();
+    }, this.config.scanInterval);
+  }
+
+  startIntegrityAudit() {
+    this.sriInterval = setInterval(() => {
+      this.auditSubresourceIntegrity();
+    }, this.config.sriInterval);
+
+    if (document.readyState === 'complete') {
+      this.auditSubresourceIntegrity();
+    } else {
+      this.listen(window, 'load', () => this.auditSubresourceIntegrity(), { once: true });
+    }
+  }
+
+  /**
+   * Walk the document once and bucket the elements the scanner and the
+   * posture assessment look at.
+   */
+  inspectPage() {
+    const page = {
+      inlineScripts: [],
+      iframes: [],
+      dataURIs: [],
+      subresources: [], // external scripts and stylesheets
+      insecureResources: [],
+      blankLinks: [],
+      forms: [],
+      handlers: [],
+      cspMeta: []
+    };
+    const secure = window.location.protocol === 'https:';
+
+    document.querySelectorAll('*').forEach(el => {
+      if (this.isTrustedNode(el)) return;
+      const tag = el.tagName;
+
+      if (tag === 'SCRIPT') {
+        if (el.src) page.subresources.push(el);
+        else if (el.textContent.length > 0) page.inlineScripts.push(el);
+      } else if (tag === 'LINK' && el.relList.contains('stylesheet') && el.href) {
+        page.subresources.push(el);
+      } else if (tag === 'IFRAME') {
+        page.iframes.push(el);
+      } else if (tag === 'A' && el.target === '_blank') {
+        page.blankLinks.push(el);
+      } else if (tag === 'FORM') {
+        page.forms.push(el);
+      } else if (tag === 'META' && /^content-security-policy$/i.test(el.httpEquiv)) {
+        page.cspMeta.push(el);
+      }
+
+      if (el.getAttribute('src')?.startsWith('data:')) page.dataURIs.push(el);
+      if (tag !== 'A' && tag !== 'FORM') {
+        DOM_URL_ATTRIBUTES.forEach(name => {
+          const value = el.getAttribute(name);
+          if (secure && value && /^\s*http:/i.test(value)) page.insecureResources.push({ el, url: value.trim() });
         });
       }
+      Array.from(el.attributes).forEach(attr => {
+        if (/^on/i.test(attr.name)) page.handlers.push({ el, name: attr.name });
+      });
     });
 
-    // Form submission monitoring
-    document.addEventListener('submit', (e) => {
-      const form = e.target;
-      const inputs = Array.from(form.elements).filter(el => el.name);
-      const data = inputs.reduce((obj, el) => {
-        obj[el.name] = el.value;
-        return obj;
-      }, {});
-      
-      this.logEvent('FormSubmission', {
-        formId: form.id || form.name || 'anonymous',
-        action: form.action,
-        method: form.method,
-        data: this.sanitize(data)
-      });
+    return page;
+  }
+
+  scanPage() {
+    const page = this.inspectPage();
+
+    // Check for tampered elements
+    page.inlineScripts.forEach(script => {
+      this.checkForThreats(script.textContent, 'InlineScript');
+      if (this.config.detectors.secrets) this.detectSecrets(script.textContent, 'InlineScript');
     });
 
-    // AJAX request monitoring
-    const originalFetch = window.fetch;
-    window.fetch = async (...args) => {
-      const [resource, config] = args;
-      this.logEvent('APICall', {
-        endpoint: typeof resource === 'string' ? resource : resource.url,
-        method: config?.method || 'GET',
-        headers: config?.headers,
-        timestamp: Date.now()
+    if (this.config.detectors.secrets && document.body) {
+      this.detectSecrets(this.collectPageText(), 'DOM');
+    }
+
+    // Check iframe sources
+    page.iframes.forEach(iframe => {
+      if (!this.config.allowedOrigins.some(entry => matchesAllowedOrigin(iframe.src, entry))) {
+        this.logThreat('SuspiciousIframe', {
+          src: iframe.src,
+          parent: iframe.parentElement?.tagName
+        });
+      }
+    });
+
+    // Check for data URIs
+    page.dataURIs.forEach(el => {
+      this.logEvent('DataURIUsage', {
+        tag: el.tagName,
+        type: el.src.split(';')[0].replace('data:', '')
       });
-      
+    });
+
+    this.collectResourceInventory();
+    this.state.lastScan = Date.now();
+  }
+
+  /**
+   * Grade the page's client-side hygiene. Returns a score out of 100, a
+   * letter grade and every check with its findings; pass `container` to
+   * also render the report into it.
+   */
+  assess({ container } = {}) {
+    const page = this.inspectPage();
+    const describe = el => {
+      const id = el.id ? `#${el.id}` : '';
+      const classes = typeof el.className === 'string' && el.className.trim()
+        ? `.${el.className.trim().split(/\s+/).join('.')}`
+        : '';
+      return `${el.tagName.toLowerCase()}${id}${classes}`;
+    };
+    const sameOrAllowed = url => this.isAllowedOrigin(url);
+
+    const findings = {
+      'mixed-content': page.insecureResources.map(({ el, url }) => ({
+        element: describe(el),
+        url: this.redactURL(url)
+      })),
+      'missing-sri': page.subresources
+        .filter(el => cspSource(el.src || el.href) !== "'self'" && /^https?:/.test(el.src || el.href))
+        .filter(el => !el.getAttribute('integrity') || !el.hasAttribute('crossorigin'))
+        .map(el => ({ element: describe(el), url: this.redactURL(el.src || el.href) })),
+      'insecure-forms': page.forms.flatMap(form => {
+        let action;
+        try {
+          action = new URL(form.getAttribute('action') || '', document.baseURI);
+        } catch (error) {
+          return []; // the browser won't submit to an unparsable action either
+        }
+        if (action.protocol === 'http:') {
+          return [{ element: describe(form), action: this.redactURL(action.href), issue: 'submits over http' }];
+        }
+        if (/^https?:$/.test(action.protocol) && !sameOrAllowed(action.href)) {
+          return [{ element: describe(form), action: this.redactURL(action.href), issue: 'submits to a foreign origin' }];
+        }
+        return [];
+      }),
+      'csp-meta': page.cspMeta.length ? [] : [{ issue: 'no Content-Security-Policy meta tag (response headers cannot be read from script)' }],
+      'noopener': page.blankLinks
+        .filter(link => !link.relList.contains('noopener') && !link.relList.contains('noreferrer'))
+        .map(link => ({ element: describe(link), href: this.redactURL(link.href) })),
+      'third-party-iframes': page.iframes
+        .filter(iframe => iframe.src && !sameOrAllowed(iframe.src))
+        .map(iframe => ({
+          element: describe(iframe),
+          src: this.redactURL(iframe.src),
+          sandboxed: iframe.hasAttribute('sandbox') ? 'sandboxed' : 'not sandboxed'
+        })),
+      'inline-handlers': page.handlers.map(({ el, name }) => ({ element: describe(el), handler: name })),
+      'script-cookies': readCookies()
+        .split(';')
+        .map(cookie => cookie.split('=')[0].trim())
+        .filter(Boolean)
+        .map(name => ({ cookie: name }))
+    };
+
+    const checks = POSTURE_CHECKS.map(check => {
+      const passed = findings[check.id].length === 0;
+      return { ...check, passed, score: passed ? check.weight : 0, findings: findings[check.id] };
+    });
+    const total = checks.reduce((sum, check) => sum + check.weight, 0);
+    const score = Math.round(100 * checks.reduce((sum, check) => sum + check.score, 0) / total);
+
+    const result = {
+      url: this.redactURL(window.location.href),
+      timestamp: Date.now(),
+      score,
+      grade: POSTURE_GRADES.find(([minimum]) => score >= minimum)[1],
+      checks
+    };
+    result.report = renderPostureReport(result);
+    if (container) container.replaceChildren(result.report);
+
+    this.logEvent('PostureAssessment', {
+      score,
+      grade: result.grade,
+      failed: checks.filter(check => !check.passed).map(check => check.id)
+    });
+    return result;
+  }
+
+  /**
+   * Audit external scripts and stylesheets for integrity/crossorigin,
+   * hash what CORS lets us read and flag content that changed since the
+   * previous audit.
+   */
+  async auditSubresourceIntegrity() {
+    const storageKey = this.storageKey('sri');
+    let previous = {};
+    try {
+      previous = JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (error) {
+      previous = {};
+    }
+
+    const elements = document.querySelectorAll('script[src], link[rel~="stylesheet"][href]');
+    const resources = Array.from(elements)
+      .map(el => ({
+        tag: el.tagName,
+        url: el.src || el.href,
+        integrity: el.getAttribute('integrity'),
+        crossorigin: el.getAttribute('crossorigin')
+      }))
+      .filter(resource => cspSource(resource.url) !== "'self'" && /^https?:/.test(resource.url));
+
+    for (const resource of resources) {
+      const expected = (resource.integrity || '').trim().split(/\s+/)[0];
+      const algorithm = SRI_ALGORITHMS[expected.split('-')[0]] ? expected.split('-')[0] : 'sha384';
+
       try {
-        const response = await originalFetch(...args);
-        if (!response.ok) {
-          this.logThreat('SuspiciousResponse', {
-            status: response.status,
-            url: response.url
+        const response = await this.nativeFetch(resource.url, {
+          mode: 'cors',
+          credentials: 'omit',
+          cache: 'no-store'
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        resource.hash = await sriHash(await response.arrayBuffer(), algorithm);
+        resource.snippet = sriTag(resource, resource.hash);
+      } catch (error) {
+        resource.hash = null;
+        resource.error = error.message;
+      }
+
+      if (expected && resource.hash && resource.integrity.split(/\s+/).indexOf(resource.hash) === -1) {
+        resource.status = 'mismatch';
+      } else if (resource.hash && previous[resource.url] &&
+                 previous[resource.url].split('-')[0] === algorithm &&
+                 previous[resource.url] !== resource.hash) {
+        resource.status = 'changed';
+      } else if (!resource.integrity || !resource.crossorigin) {
+        resource.status = 'missing';
+      } else {
+        resource.status = resource.hash ? 'ok' : 'unverified';
+      }
+
+      if (resource.hash) previous[resource.url] = resource.hash;
+      this.reportIntegrityFinding(resource);
+    }
+
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(previous));
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to persist SRI hashes:', error);
+    }
+
+    return {
+      resources,
+      snippets: resources.filter(resource => resource.snippet).map(resource => resource.snippet).join('\n')
+    };
+  }
+
+  reportIntegrityFinding(resource) {
+    const details = {
+      url: resource.url,
+      tag: resource.tag,
+      integrity: resource.integrity || 'none',
+      crossorigin: resource.crossorigin || 'none',
+      hash: resource.hash,
+      snippet: resource.snippet
+    };
+
+    if (resource.status === 'mismatch') {
+      this.logThreat('SRIMismatch', details);
+    } else if (resource.status === 'changed') {
+      this.logThreat('SubresourceChanged', details);
+    } else if (resource.status === 'missing' && !this.state.sriReported.has(resource.url)) {
+      // Missing attributes do not change between audits; report once per session
+      this.state.sriReported.add(resource.url);
+      this.logThreat('MissingSRI', details);
+    }
+  }
+
+  /**
+   * Feed an event into the anomaly detector and report what it flags
+   */
+  checkAnomalies(event) {
+    if (!this.config.detectors.anomalies) return;
+    if (!this.simulation && (!this.running || !this.allows('anomalies'))) return;
+
+    this.anomalies.observe(event.type, { endpoint: event.data?.endpoint }).forEach(({ threat, severity, grade, ...details }) => {
+      this.logThreat(threat, { grade, ...details }, severity);
+    });
+  }
+
+  detectMaliciousPayloads() {
+    // Check URL parameters
+    this.inspectURL(window.location.href);
+
+    // Check localStorage/sessionStorage
+    if (window.localStorage.length > 0) {
+      Object.keys(localStorage).forEach(key => {
+        // Our own queued reports quote earlier findings verbatim
+        if (key.startsWith(AUDIT_STORAGE_PREFIX)) return;
+        this.inspectStorage(key, localStorage.getItem(key));
+      });
+    }
+
+    // Check cookies
+    readCookies().split(';').forEach(cookie => {
+      const [name, value] = cookie.split('=');
+      if (value) this.inspectCookie(name.trim(), value.trim());
+    });
+  }
+
+  inspectURL(url) {
+    this.record('url', { url }, 'url');
+    const parsed = new URL(url, window.location.href);
+    let pollution = false;
+
+    parsed.searchParams.forEach((value, key) => {
+      this.checkForThreats(value, `URLParam:${key}`);
+      if (PROTOTYPE_POLLUTION_KEY.test(key)) pollution = this.reportPollutionAttempt(`URLParam:${key}`, key, value);
+    });
+    // Client-side routers and query parsers also read the fragment
+    new URLSearchParams(parsed.hash.slice(1)).forEach((value, key) => {
+      if (PROTOTYPE_POLLUTION_KEY.test(key)) pollution = this.reportPollutionAttempt(`URLHash:${key}`, key, value);
+    });
+
+    // Confirm straight away whether a parser on the page took the bait
+    if (pollution && !this.simulation) this.verifyIntegrity();
+  }
+
+  reportPollutionAttempt(context, key, value) {
+    this.logThreat('PrototypePollutionAttempt', {
+      context,
+      parameter: key.substring(0, 100),
+      value: value.substring(0, 100)
+    });
+    return true;
+  }
+
+  inspectStorage(key, value) {
+    this.record('storage', { key, value }, `storage:${key}`);
+    this.checkForThreats(value, `LocalStorage:${key}`);
+    if (this.config.detectors.secrets) this.detectSecrets(value, `LocalStorage:${key}`);
+  }
+
+  inspectCookie(name, value) {
+    this.record('cookie', { name, value }, `cookie:${name}`);
+    this.checkForThreats(value, `Cookie:${name}`);
+  }
+
+  /**
+   * Look for credentials and personal data; findings are logged redacted
+   * and reported once per value and context per session.
+   */
+  detectSecrets(content, context) {
+    if (typeof content !== 'string' || !content) return [];
+
+    const { minEntropy, pii, maxLength } = this.config.secrets;
+    const text = content.length > maxLength ? content.substring(0, maxLength) : content;
+    const findings = [];
+
+    SECRET_PATTERNS.forEach(pattern => {
+      if (pattern.kind === 'pii' && !pii) return;
+
+      for (const match of text.matchAll(pattern.regex)) {
+        const value = match[pattern.group || 0];
+        const entropy = shannonEntropy(value);
+        if (pattern.entropy && entropy < minEntropy) continue;
+
+        const redacted = redactSecret(value, pattern.kind);
+        const key = `${pattern.id}|${context}|${redacted}`;
+        if (this.state.secretsReported.has(key)) continue;
+        this.state.secretsReported.add(key);
+
+        const finding = {
+          detector: pattern.id,
+          context,
+          redacted,
+          length: value.length,
+          entropy: Math.round(entropy * 100) / 100
+        };
+        findings.push(finding);
+
+        // Personal data only matters once it is on its way off the page
+        const severity = pattern.kind === 'pii' && context.startsWith('Request') ? 'medium' : pattern.severity;
+        this.logThreat(pattern.kind === 'pii' ? 'PIILeak' : 'SecretLeak', finding, severity);
+      }
+    });
+
+    return findings;
+  }
+
+  collectPageText() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.parentNode.tagName) ||
+        node.parentElement?.closest('.threat-center-root') ?
+        NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const parts = [];
+    while (walker.nextNode()) parts.push(walker.currentNode.data);
+    return parts.join(' ');
+  }
+
+  checkForThreats(content, context) {
+    const matches = this.rules.match(content, context);
+
+    matches.forEach(({ rule, pack, match }) => {
+      this.logThreat(rule.threat, {
+        rule: rule.id,
+        category: rule.category,
+        pack,
+        context,
+        match: match.substring(0, 100),
+        snippet: content.substring(0, 100)
+      }, rule.severity);
+    });
+
+    return matches.length > 0;
+  }
+
+  loadRulePack(pack, options) {
+    try {
+      return this.rules.load(pack, options);
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to load rule pack:', error);
+      return false;
+    }
+  }
+
+  async fetchRulePack(url, options) {
+    try {
+      const response = await this.nativeFetch(url, { credentials: 'omit' });
+      return this.loadRulePack(await response.json(), options);
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to fetch rule pack:', error);
+      return false;
+    }
+  }
+
+  monitorDOMChanges() {
+    this.domSummary = null;
+    this.domObserver = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        if (this.isTrustedNode(mutation.target)) return;
+
+        switch (mutation.type) {
+          case 'childList':
+            mutation.addedNodes.forEach(node => {
+              if (this.isTrustedNode(node)) return;
+              if (node.nodeType === 1) this.record('dom', { html: node.outerHTML, parent: mutation.target.tagName });
+              if (node.nodeType === 3) this.record('dom', { text: node.data, parent: mutation.target.tagName });
+              this.analyzeInsertion(node, mutation.target);
+            });
+            break;
+          case 'attributes':
+            this.record('attribute', {
+              tag: mutation.target.tagName,
+              name: mutation.attributeName,
+              value: mutation.target.getAttribute(mutation.attributeName),
+              oldValue: mutation.oldValue
+            });
+            this.analyzeAttribute(mutation.target, mutation.attributeName, mutation.oldValue);
+            break;
+          case 'characterData':
+            if (mutation.target.parentNode?.tagName === 'SCRIPT') {
+              this.logThreat('InlineScriptMutation', {
+                content: mutation.target.data.substring(0, 200)
+              });
+            }
+            break;
+        }
+      });
+    });
+
+    this.domObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true
+    });
+  }
+
+  isTrustedNode(node) {
+    const element = node.nodeType === 1 ? node : node.parentElement;
+    // Our own UI is never analysed
+    const selectors = ['.threat-center-root', '.consent-banner', ...this.config.domMonitor.trustedContainers];
+    return Boolean(element && element.closest(selectors.join(',')));
+  }
+
+  analyzeInsertion(node, parent) {
+    if (node.nodeType === 3 && parent.tagName === 'SCRIPT') {
+      this.checkTaint('script', node.data, 'script.text');
+      this.logThreat('InlineScriptMutation', { content: node.data.substring(0, 200) });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    this.checkTaint('html', node.outerHTML, `DOM:${parent.tagName}`);
+    let suspicious = false;
+    [node, ...node.querySelectorAll('*')].forEach(el => {
+      if (this.analyzeElement(el)) suspicious = true;
+    });
+    if (this.checkForThreats(node.outerHTML, `DOM:${node.tagName}`)) suspicious = true;
+
+    if (suspicious) {
+      this.logEvent('DOMInsertion', {
+        tag: node.tagName,
+        parent: parent.tagName,
+        content: node.outerHTML.substring(0, 200)
+      });
+    } else if (!this.simulation) {
+      this.summarizeInsertion(node, parent);
+    }
+  }
+
+  /**
+   * Inspect a newly inserted element; returns true when something was flagged
+   */
+  analyzeElement(el) {
+    let flagged = false;
+    const location = { tag: el.tagName, id: el.id || undefined, parent: el.parentElement?.tagName };
+
+    switch (el.tagName) {
+      case 'SCRIPT':
+        if (el.src) {
+          this.logThreat('DynamicScriptLoad', {
+            src: el.src,
+            integrity: el.integrity || 'none',
+            crossorigin: el.getAttribute('crossorigin') || 'none'
+          });
+          flagged = true;
+        } else if (!el.type || /javascript|module/i.test(el.type)) {
+          this.checkTaint('script', el.textContent, 'script.text');
+          this.logThreat('InlineScriptMutation', {
+            ...location,
+            content: el.textContent.substring(0, 200)
           });
+          flagged = true;
         }
-        return response;
-      } catch (error) {
-        this.logThreat('FetchError', {
-          error: error.message,
-          stack: error.stack
+        break;
+      case 'BASE':
+        this.logThreat('BaseTagInjection', { ...location, href: el.getAttribute('href') });
+        flagged = true;
+        break;
+      case 'IFRAME':
+      case 'FRAME':
+      case 'OBJECT':
+      case 'EMBED':
+        this.logThreat('FrameInjection', {
+          ...location,
+          src: el.getAttribute('src') || el.getAttribute('data') || null
         });
-        throw error;
-      }
+        flagged = true;
+        break;
+    }
+
+    Array.from(el.attributes).forEach(attr => {
+      if (this.analyzeAttribute(el, attr.name, null)) flagged = true;
+    });
+
+    return flagged;
+  }
+
+  /**
+   * Inspect a single attribute value; returns true when it was flagged
+   */
+  analyzeAttribute(el, name, oldValue) {
+    const value = el.getAttribute(name);
+    if (value === null) return false;
+
+    const attribute = name.toLowerCase();
+    if (DOM_URL_ATTRIBUTES.includes(attribute)) this.checkTaint('url', value, `${el.tagName.toLowerCase()}.${attribute}`);
+    const details = {
+      tag: el.tagName,
+      id: el.id || undefined,
+      attribute,
+      value: value.substring(0, 200),
+      oldValue: oldValue === null ? undefined : oldValue.substring(0, 200)
     };
+
+    if (attribute.startsWith('on')) {
+      this.logThreat('InlineHandlerInjection', details);
+      return true;
+    }
+
+    if (attribute === 'srcdoc') {
+      this.logThreat('SrcdocInjection', details);
+      return true;
+    }
+
+    if (DOM_URL_ATTRIBUTES.includes(attribute) && /^\s*javascript:/i.test(value.replace(/[\u0000-\u001f]/g, ''))) {
+      this.logThreat('JavaScriptURLInjection', details);
+      return true;
+    }
+
+    // Attribute changes on already-present elements
+    if (oldValue !== null && oldValue !== value) {
+      if (el.tagName === 'BASE' && attribute === 'href') {
+        this.logThreat('BaseTagInjection', details);
+        return true;
+      }
+      if ((el.tagName === 'FORM' && attribute === 'action') || attribute === 'formaction') {
+        this.logThreat('FormActionRewrite', details);
+        return true;
+      }
+    }
+
+    return false;
   }
 
-  startScanner() {
-    this.scannerInterval = setInterval(() => {
-      this.scanPage();
-      this.checkRequestRate();
-      this.detectMaliciousPayloads();
-    }, this.config.scanInterval);
+  /**
+   * Benign insertions are counted and reported as one summary event
+   */
+  summarizeInsertion(node, parent) {
+    if (!this.domSummary) {
+      this.domSummary = { count: 0, tags: {}, parents: {}, since: Date.now() };
+      this.domSummaryTimer = setTimeout(() => {
+        const summary = this.domSummary;
+        this.domSummary = null;
+        this.logEvent('DOMInsertionSummary', { ...summary, until: Date.now() });
+      }, this.config.domMonitor.summaryInterval);
+    }
+
+    const parentKey = parent.id ? `${parent.tagName}#${parent.id}` : parent.tagName;
+    this.domSummary.count++;
+    this.domSummary.tags[node.tagName] = (this.domSummary.tags[node.tagName] || 0) + 1;
+    this.domSummary.parents[parentKey] = (this.domSummary.parents[parentKey] || 0) + 1;
   }
 
-  scanPage() {
-    // Check for tampered elements
-    const scripts = Array.from(document.scripts);
-    scripts.forEach(script => {
-      if (!script.src && script.textContent.length > 0) {
-        this.checkForThreats(script.textContent, 'InlineScript');
-      }
+  monitorCSPViolations() {
+    this.listen(document, 'securitypolicyviolation', (e) => {
+      this.logThreat('CSPViolation', {
+        blockedURI: e.blockedURI,
+        directive: e.effectiveDirective || e.violatedDirective,
+        disposition: e.disposition,
+        sourceFile: e.sourceFile,
+        line: e.lineNumber,
+        sample: e.sample
+      }, e.disposition === 'report' ? 'low' : this.getThreatLevel('CSPViolation'));
     });
+  }
 
-    // Check iframe sources
-    document.querySelectorAll('iframe').forEach(iframe => {
-      if (!this.config.allowedOrigins.some(origin => iframe.src.startsWith(origin))) {
-        this.logThreat('SuspiciousIframe', {
-          src: iframe.src,
-          parent: iframe.parentElement?.tagName
-        });
-      }
+  /**
+   * Record every origin the page actually loads from, per CSP directive
+   */
+  collectResourceInventory() {
+    const inventory = this.state.cspInventory;
+    const add = (directive, url) => {
+      const source = cspSource(url);
+      if (directive && source) inventory[directive].add(source);
+    };
+
+    document.querySelectorAll('script[src]').forEach(el => add('script-src', el.src));
+    document.querySelectorAll('link[href]').forEach(el => add(cspDirectiveForLink(el), el.href));
+    document.querySelectorAll('img[src], source[srcset], picture source[src]').forEach(el => {
+      add('img-src', el.src || el.srcset.split(/\s+/)[0]);
     });
+    document.querySelectorAll('iframe[src], frame[src]').forEach(el => add('frame-src', el.src));
+    document.querySelectorAll('video[src], audio[src]').forEach(el => add('media-src', el.src));
+    document.querySelectorAll('object[data], embed[src]').forEach(el => add('object-src', el.data || el.src));
 
-    // Check for data URIs
-    document.querySelectorAll('[src^="data:"]').forEach(el => {
-      this.logEvent('DataURIUsage', {
-        tag: el.tagName,
-        type: el.src.split(';')[0].replace('data:', '')
+    if (window.performance?.getEntriesByType) {
+      performance.getEntriesByType('resource').forEach(entry => {
+        add(cspDirectiveForResource(entry), entry.name);
       });
-    });
+    }
 
-    this.state.lastScan = Date.now();
+    return inventory;
   }
 
-  checkRequestRate() {
-    const now = Date.now();
-    this.state.requests = this.state.requests.filter(
-      req => now - req.timestamp < 1000
+  /**
+   * Build a report-only policy from the resource inventory. Inline scripts
+   * are allowed by hash; inline styles fall back to 'unsafe-inline'.
+   * `meta` is an enforcing <meta http-equiv> for hosts that can't set
+   * headers: browsers ignore report-uri and frame-ancestors there, so it
+   * leaves them out and clickjacking protection still needs the header.
+   */
+  async generateCSP({ reportUri = this.config.endpoints.csp } = {}) {
+    const inventory = this.collectResourceInventory();
+    const directives = { 'default-src': ["'self'"] };
+
+    CSP_FETCH_DIRECTIVES.forEach(directive => {
+      const sources = Array.from(inventory[directive]);
+      if (directive === 'object-src' && !sources.length) sources.push("'none'");
+      if (sources.length) directives[directive] = sources;
+    });
+
+    const scriptSources = directives['script-src'] || (directives['script-src'] = ["'self'"]);
+    const inlineScripts = Array.from(document.scripts).filter(script => !script.src && script.textContent.trim());
+    for (const script of inlineScripts) {
+      scriptSources.push(await cspHash(script.textContent));
+    }
+
+    const handlers = Array.from(document.querySelectorAll('*')).flatMap(el =>
+      Array.from(el.attributes).filter(attr => /^on/i.test(attr.name)).map(attr => attr.value)
     );
-    
-    if (this.state.requests.length > this.config.maxRequestRate) {
-      this.logThreat('RequestFlood', {
-        count: this.state.requests.length,
-        lastRequest: this.state.requests[this.state.requests.length - 1]
-      });
+    if (handlers.length) {
+      scriptSources.push("'unsafe-hashes'");
+      for (const handler of new Set(handlers)) {
+        scriptSources.push(await cspHash(handler));
+      }
     }
-  }
 
-  detectMaliciousPayloads() {
-    // Check URL parameters
-    const params = new URLSearchParams(window.location.search);
-    params.forEach((value, key) => {
-      this.checkForThreats(value, `URLParam:${key}`);
-    });
+    if (document.querySelector('style, [style]')) {
+      (directives['style-src'] || (directives['style-src'] = ["'self'"])).push("'unsafe-inline'");
+    }
 
-    // Check localStorage/sessionStorage
-    if (window.localStorage.length > 0) {
-      Object.keys(localStorage).forEach(key => {
-        this.checkForThreats(localStorage.getItem(key), `LocalStorage:${key}`);
-      });
+    if (this.htmlPolicy && this.config.trustedTypes.mode === 'enforce') {
+      directives['require-trusted-types-for'] = ["'script'"];
+      directives['trusted-types'] = [this.config.trustedTypes.policyName, 'default'];
     }
 
-    // Check cookies
-    document.cookie.split(';').forEach(cookie => {
-      const [name, value] = cookie.split('=');
-      if (value) this.checkForThreats(value.trim(), `Cookie:${name.trim()}`);
-    });
+    directives['base-uri'] = ["'self'"];
+    // Forms may post here, to an allowed origin or wherever the page's
+    // own forms already point, so the enforcing <meta> breaks none of them
+    const formActions = [
+      ...this.config.allowedOrigins,
+      ...Array.from(document.forms, form => form.action),
+      ...Array.from(document.querySelectorAll('[formaction]'), el => el.getAttribute('formaction'))
+    ].map(cspSource).filter(Boolean);
+    directives['form-action'] = Array.from(new Set(["'self'", ...formActions]));
+    directives['frame-ancestors'] = ["'none'"];
+    if (reportUri) directives['report-uri'] = [reportUri];
+
+    const serialize = entries => entries
+      .map(([directive, sources]) => `${directive} ${Array.from(new Set(sources)).join(' ')}`)
+      .join('; ');
+    const value = serialize(Object.entries(directives));
+    const metaValue = serialize(Object.entries(directives)
+      .filter(([directive]) => !['report-uri', 'frame-ancestors'].includes(directive)));
+
+    return {
+      header: 'Content-Security-Policy-Report-Only',
+      value,
+      directives,
+      meta: `<meta http-equiv="Content-Security-Policy" content="${metaValue.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">`
+    };
   }
 
-  checkForThreats(content, context) {
-    let threatFound = false;
-    
-    // XSS detection
-    this.config.xssPatterns.forEach(pattern => {
-      if (pattern.test(content)) {
-        this.logThreat('XSSAttempt', {
-          pattern: pattern.toString(),
-          context,
-          snippet: content.substring(0, 100)
-        });
-        threatFound = true;
-      }
-    });
+  /**
+   * Register Trusted Types policies where the browser supports them. The
+   * named policy backs setHTML(); the default policy catches any other sink
+   * once `require-trusted-types-for 'script'` is in force.
+   */
+  setupTrustedTypes() {
+    const { mode, policyName } = this.config.trustedTypes;
+    if (mode === 'off' || !window.trustedTypes?.createPolicy) return;
 
-    // SQLi detection
-    this.config.sqlPatterns.forEach(pattern => {
-      if (pattern.test(content)) {
-        this.logThreat('SQLiAttempt', {
-          pattern: pattern.toString(),
-          context,
-          snippet: content.substring(0, 100)
+    try {
+      this.htmlPolicy = trustedTypes.createPolicy(policyName, {
+        createHTML: (html, sink) => this.guardHTML(html, sink)
+      });
+    } catch (error) {
+      console.error('[SecurityAudit] Failed to create Trusted Types policy:', error);
+    }
+
+    if (!trustedTypes.defaultPolicy) {
+      try {
+        trustedTypes.createPolicy('default', {
+          createHTML: (html, type, sink) => this.guardHTML(html, sink || 'default'),
+          createScript: (script, type, sink) => this.guardScript(script, 'script', sink || 'eval'),
+          createScriptURL: (url, type, sink) => this.guardScript(url, 'url', sink || 'script.src')
         });
-        threatFound = true;
+      } catch (error) {
+        // Another script owns the default policy
       }
-    });
+    }
+  }
 
-    return threatFound;
+  /**
+   * Write markup into an element through the sanitizer. `sink` names the
+   * call site so report-only mode can point at it.
+   */
+  setHTML(element, html, sink = 'unknown') {
+    element.innerHTML = this.htmlPolicy ?
+      this.htmlPolicy.createHTML(html, sink) : this.guardHTML(html, sink);
   }
 
-  monitorDOMChanges() {
-    const observer = new MutationObserver(mutations => {
-      mutations.forEach(mutation => {
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === 1) { // Element node
-            this.logEvent('DOMInsertion', {
-              tag: node.tagName,
-              parent: mutation.target.tagName,
-              content: node.textContent.substring(0, 200)
-            });
-            
-            // Check injected scripts
-            if (node.tagName === 'SCRIPT' && node.src) {
-              this.logThreat('DynamicScriptLoad', {
-                src: node.src,
-                integrity: node.integrity || 'none'
-              });
-            }
-          }
-        });
+  sanitizeHTML(html) {
+    return sanitizeMarkup(html).html;
+  }
+
+  guardHTML(html, sink) {
+    this.checkTaint('html', html, sink);
+    const mode = this.config.trustedTypes.mode;
+    // Replayed markup is only parsed into an inert template
+    if (mode === 'off' || this.simulation) return html;
+
+    const { html: clean, removed } = sanitizeMarkup(html);
+    if (!removed.length) return html;
+
+    // The mode holds while stopped too; only the report needs consent
+    if (this.running && this.allows('trustedTypes')) {
+      this.logThreat('UntrustedHTML', {
+        sink,
+        mode,
+        removed: removed.slice(0, 20),
+        snippet: html.substring(0, 200)
       });
-    });
+    }
 
-    observer.observe(document.documentElement, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      characterData: true
-    });
+    return mode === 'enforce' ? clean : html;
+  }
+
+  /**
+   * String-to-code sinks reach the default policy only where Trusted Types
+   * are enforced or reported. An enforced policy stays enforced.
+   */
+  guardScript(value, kind, sink) {
+    this.checkTaint(kind, value, sink);
+    return this.config.trustedTypes.mode === 'enforce' ? null : value;
   }
 
   checkEnvironment() {
+    // Check if running in iframe
+    if (window.self !== window.top) {
+      this.logThreat('FramedPage', {
+        parentUrl: document.referrer
+      });
+    }
+
+    if (!this.allows('fingerprinting')) return;
+
     // Check if DevTools is open
     const devtools = /./;
     devtools.toString = function() {
@@ -245,13 +3469,26 @@ class SecurityAudit {
     };
     
     console.log('%c', devtools);
-    window.addEventListener('devtoolschange', (e) => {
+    this.listen(window, 'devtoolschange', (e) => {
       this.logThreat('DevToolsAccess', {
         timestamp: Date.now(),
         isOpen: e.detail.isOpen
       });
     });
 
+    // DevTools detection (additional method)
+    const element = new Image();
+    Object.defineProperty(element, 'id', {
+      get: function() {
+        window.dispatchEvent(new CustomEvent('devtoolschange', {
+          detail: { isOpen: true }
+        }));
+      }
+    });
+
+    console.log('%c', element);
+    console.clear();
+
     // Check for browser extensions
     const extensionIds = [
       'nmebbcjdbhgggcgoklncipoddhgokdgg' // Sample extension ID
@@ -265,24 +3502,19 @@ class SecurityAudit {
       };
       img.onerror = () => {};
     });
-
-    // Check if running in iframe
-    if (window.self !== window.top) {
-      this.logThreat('FramedPage', {
-        parentUrl: document.referrer
-      });
-    }
   }
 
   setupHeartbeat() {
-    setInterval(() => {
+    this.heartbeatInterval = setInterval(() => {
       const sessionDuration = Date.now() - this.state.sessionStart;
       const metrics = {
         threats: this.state.threatsDetected,
         domSize: document.getElementsByTagName('*').length,
-        memory: window.performance.memory?.usedJSHeapSize || 0,
         duration: sessionDuration
       };
+      if (this.allows('telemetry')) {
+        metrics.memory = window.performance.memory?.usedJSHeapSize || 0;
+      }
       
       this.logEvent('Heartbeat', metrics);
       
@@ -290,178 +3522,526 @@ class SecurityAudit {
       if (navigator.onLine) {
         this.sendToAnalytics(metrics);
       }
-    }, 60000);
+    }, this.config.heartbeatInterval);
   }
 
   sendToAnalytics(data) {
-    const endpoint = 'https://analytics.cyberempirex.io/v1/telemetry';
+    if (!this.allows('heartbeat')) return;
+
     const payload = {
       timestamp: Date.now(),
-      url: window.location.href,
-      userAgent: navigator.userAgent,
       data: this.sanitize(data)
     };
-    
-    navigator.sendBeacon(endpoint, JSON.stringify(payload));
+    if (this.allows('telemetry')) {
+      payload.url = this.redactURL(window.location.href);
+      payload.userAgent = navigator.userAgent;
+    }
+
+    this.transport?.send('telemetry', payload);
   }
 
   logEvent(type, data) {
     const event = {
       type,
-      timestamp: Date.now(),
+      timestamp: this.now(),
       data: this.sanitize(data)
     };
+
+    if (this.simulation) {
+      this.simulation.events.push(event);
+      this.checkAnomalies(event);
+      return;
+    }
     
-    this.state.requests.push(event);
+    this.journalEntry('event', event);
+    this.checkAnomalies(event);
     console.debug('[SecurityAudit] Event:', event);
+    this.emit('event', event);
   }
 
-  logThreat(type, data) {
+  logThreat(type, data, severity = this.getThreatLevel(type)) {
     this.state.threatsDetected++;
     const threat = {
       type,
-      severity: this.getThreatLevel(type),
-      timestamp: Date.now(),
+      severity,
+      timestamp: this.now(),
       data: this.sanitize(data),
       stack: new Error().stack
     };
+
+    if (this.simulation) {
+      this.simulation.threats.push(threat);
+      return;
+    }
     
     console.warn('[SecurityAudit] Threat detected:', threat);
+    this.journalEntry('threat', threat);
     this.showWarning(threat);
     
     // Send threat report
     this.sendThreatReport(threat);
+    this.emit('threat', threat);
+  }
+
+  /**
+   * Subscribe to events and threats.
+   * `type` is an event/threat type or '*' for everything. Options:
+   *   kind      - 'event' or 'threat'
+   *   severity  - severity or array of severities (threats only)
+   *   filter    - predicate receiving the record
+   *   throttle  - minimum ms between deliveries; skipped records are
+   *               counted and passed as `suppressed` on the next call
+   * Returns a function that removes the subscription.
+   */
+  on(type, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('[SecurityAudit] Subscriber handler must be a function');
+    }
+
+    const subscription = { type, handler, options, lastDelivery: 0, suppressed: 0 };
+    this.subscribers.push(subscription);
+    // Only this subscription: the same handler may be subscribed again
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== subscription);
+    };
+  }
+
+  once(type, handler, options = {}) {
+    return this.on(type, handler, { ...options, once: true });
+  }
+
+  off(type, handler) {
+    this.subscribers = this.subscribers.filter(subscription =>
+      subscription.type !== type || (handler && subscription.handler !== handler)
+    );
+  }
+
+  emit(kind, record) {
+    if (!this.subscribers.length) return;
+
+    const entry = { kind, ...record };
+    const now = Date.now();
+
+    this.subscribers.slice().forEach(subscription => {
+      const { type, handler, options } = subscription;
+      if (type !== '*' && type !== record.type) return;
+      if (options.kind && options.kind !== kind) return;
+      if (options.severity && !matchesFilter(record.severity, options.severity)) return;
+
+      try {
+        if (options.filter && !options.filter(entry)) return;
+
+        if (options.throttle && now - subscription.lastDelivery < options.throttle) {
+          subscription.suppressed++;
+          return;
+        }
+
+        const suppressed = subscription.suppressed;
+        subscription.lastDelivery = now;
+        subscription.suppressed = 0;
+        if (options.once) this.subscribers = this.subscribers.filter(s => s !== subscription);
+
+        handler(entry, { suppressed });
+      } catch (error) {
+        console.error('[SecurityAudit] Subscriber failed:', error);
+      }
+    });
+  }
+
+  journalEntry(kind, { type, severity, timestamp, data }) {
+    if (!this.journal || !this.allows('journal')) return;
+
+    this.journal.record({
+      kind,
+      type,
+      severity: severity || null,
+      timestamp,
+      sessionId: this.state.sessionId,
+      data
+    }).catch(error => {
+      console.error('[SecurityAudit] Failed to write journal entry:', error);
+    });
+  }
+
+  queryJournal(filter) {
+    if (!this.journal) return Promise.resolve({ total: 0, page: 0, pageSize: 0, entries: [] });
+    return this.journal.query(filter);
+  }
+
+  exportJournal(format = 'json', filter) {
+    if (!this.journal) return Promise.resolve('');
+    return this.journal.export(format, filter);
+  }
+
+  async downloadJournal(format = 'json', filter) {
+    const types = { json: 'application/json', ndjson: 'application/x-ndjson', csv: 'text/csv' };
+    const blob = new Blob([await this.exportJournal(format, filter)], { type: types[format] });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `security-journal-${this.state.sessionId}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  now() {
+    return this.simulation ? this.simulation.clock() : Date.now();
+  }
+
+  /**
+   * Capture the raw inputs the detectors see (URL, cookies, storage, DOM
+   * mutations, requests) for replay with simulate(). Recordings hold
+   * unredacted values and never leave the page.
+   */
+  startRecording() {
+    this.recording = { entries: [], seen: new Map() };
+    return this;
+  }
+
+  stopRecording() {
+    const entries = this.recording ? this.recording.entries : [];
+    this.recording = null;
+    return entries.map(entry => JSON.stringify(entry)).join('\n');
+  }
+
+  record(kind, fields, key) {
+    if (!this.recording || this.simulation) return;
+
+    // Periodic scans see the same URL, cookies and storage every time
+    if (key) {
+      const value = JSON.stringify(fields);
+      if (this.recording.seen.get(key) === value) return;
+      this.recording.seen.set(key, value);
+    }
+    this.recording.entries.push({ t: Date.now(), kind, ...fields });
+  }
+
+  /**
+   * Replay a recorded event stream (NDJSON or an array) through the
+   * detectors and return the threats it produces. Nothing is journaled,
+   * shown or reported, and the live session's dedupe, anomaly and taint
+   * state are left untouched. The clock defaults to each entry's `t`.
+   */
+  simulate(stream, { clock } = {}) {
+    const entries = typeof stream === 'string'
+      ? stream.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`[SecurityAudit] Simulation line ${index + 1} is not valid JSON`);
+        }
+      })
+      : Array.from(stream);
+
+    let current = entries.find(entry => Number.isFinite(entry.t))?.t ?? Date.now();
+    const simulation = {
+      clock: clock || (() => current),
+      threats: [],
+      events: [],
+      document: document.implementation.createHTMLDocument('')
+    };
+    const live = { state: this.state, anomalies: this.anomalies, taint: this.taint, simulation: this.simulation };
+
+    this.simulation = simulation;
+    this.state = {
+      ...this.state,
+      threatsDetected: 0,
+      sriReported: new Set(),
+      secretsReported: new Set(),
+      messageOriginsReported: new Set()
+    };
+    this.anomalies = new AnomalyDetector({ ...this.config.anomalies, clock: simulation.clock });
+    // Sources come from the recorded URLs, not the live page
+    this.taint = this.taint && { sources: new Map(), reported: new Set() };
+
+    try {
+      entries.forEach((entry, index) => {
+        if (Number.isFinite(entry.t)) current = entry.t;
+        this.replay(entry, index);
+      });
+    } finally {
+      this.simulation = live.simulation;
+      this.state = live.state;
+      this.anomalies = live.anomalies;
+      this.taint = live.taint;
+    }
+
+    return simulation.threats;
+  }
+
+  replay(entry, index) {
+    const inert = this.simulation?.document || document.implementation.createHTMLDocument('');
+
+    switch (entry.kind) {
+      case 'url':
+        this.inspectURL(entry.url);
+        if (this.simulation && this.taint) this.collectURLTaint(entry.url);
+        break;
+      case 'cookie':
+        this.inspectCookie(entry.name, String(entry.value));
+        break;
+      case 'storage':
+        this.inspectStorage(entry.key, String(entry.value));
+        break;
+      case 'dom': {
+        // Captured markup is parsed in a document without a browsing
+        // context, where nothing loads or runs, and never enters the page
+        const parent = inert.createElement(entry.parent || 'div');
+        if (entry.text !== undefined) {
+          this.analyzeInsertion(inert.createTextNode(entry.text), parent);
+          break;
+        }
+        parent.innerHTML = entry.html || '';
+        Array.from(parent.childNodes).forEach(node => this.analyzeInsertion(node, parent));
+        break;
+      }
+      case 'attribute': {
+        let el;
+        try {
+          el = inert.createElement(entry.tag || 'div');
+          // A removed attribute was recorded with a null value
+          if (entry.value === null || entry.value === undefined) {
+            el.removeAttribute(entry.name);
+          } else {
+            el.setAttribute(entry.name, entry.value);
+          }
+        } catch (error) {
+          // One malformed entry shouldn't abort the rest of the replay
+          console.warn(`[SecurityAudit] Skipping simulation entry ${index + 1}:`, error.message);
+          break;
+        }
+        this.analyzeAttribute(el, entry.name, entry.oldValue ?? null);
+        break;
+      }
+      case 'request':
+        this.interceptRequest(entry.transport || 'fetch', entry.url, entry);
+        break;
+      case 'event':
+        this.logEvent(entry.type, entry.data || {});
+        break;
+      default:
+        throw new Error(`[SecurityAudit] Unknown simulation entry kind "${entry.kind}" at entry ${index + 1}`);
+    }
   }
 
   getThreatLevel(type) {
     const levels = {
       'XSSAttempt': 'high',
       'SQLiAttempt': 'critical',
-      'RequestFlood': 'medium',
+      'RequestBurst': 'medium',
+      'RequestFlood': 'high',
+      'NewEndpoint': 'low',
       'FramedPage': 'low',
       'DynamicScriptLoad': 'high',
-      'DevToolsAccess': 'medium'
+      'DevToolsAccess': 'medium',
+      'CSPViolation': 'high',
+      'MissingSRI': 'low',
+      'SRIMismatch': 'critical',
+      'SubresourceChanged': 'high',
+      'InlineHandlerInjection': 'high',
+      'JavaScriptURLInjection': 'high',
+      'SrcdocInjection': 'high',
+      'BaseTagInjection': 'critical',
+      'FormActionRewrite': 'high',
+      'FrameInjection': 'medium',
+      'InlineScriptMutation': 'high',
+      'UntrustedHTML': 'high',
+      'DisallowedOrigin': 'low',
+      'BlockedRequest': 'medium',
+      'SecretLeak': 'high',
+      'NativeTampering': 'high',
+      'PrototypePollution': 'critical',
+      'PrototypePollutionAttempt': 'high',
+      'DOMClobbering': 'high',
+      'TaintedSink': 'high',
+      'DisallowedMessageOrigin': 'medium',
+      'BlockedMessage': 'medium',
+      'WildcardPostMessage': 'low',
+      'PIILeak': 'low'
     };
     
     return levels[type] || 'medium';
   }
 
   showWarning(threat) {
-    if (document.getElementById('security-alert')) return;
-    
-    const alert = document.createElement('div');
-    alert.id = 'security-alert';
-    alert.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      padding: 15px;
-      background: #ff6b6b;
-      color: white;
-      border-radius: 5px;
-      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-      z-index: 9999;
-      max-width: 400px;
-      animation: slideIn 0.3s ease-out;
-    `;
-    
-    alert.innerHTML = `
-      <h3 style="margin: 0 0 10px 0;">Security Alert</h3>
-      <p style="margin: 0 0 10px 0;">
-        ${threat.type} detected (${threat.severity} severity)
-      </p>
-      <button id="dismiss-alert" style="
-        background: white;
-        border: none;
-        padding: 5px 10px;
-        border-radius: 3px;
-        cursor: pointer;
-      ">Dismiss</button>
-    `;
-    
-    document.body.appendChild(alert);
-    
-    document.getElementById('dismiss-alert').addEventListener('click', () => {
-      alert.style.animation = 'fadeOut 0.3s ease-out';
-      setTimeout(() => alert.remove(), 300);
-    });
+    if (this.threatCenter) this.threatCenter.add(threat);
   }
 
   sendThreatReport(threat) {
-    const endpoint = 'https://api.cyberempirex.io/v1/threats';
-    const payload = {
+    if (!this.allows('threatReports')) return;
+
+    if (!this.allows('telemetry')) {
+      // Anonymous tier: what was detected, not where or by whom
+      this.transport?.send('threats', {
+        type: threat.type,
+        severity: threat.severity,
+        timestamp: threat.timestamp,
+        rule: threat.data?.rule,
+        category: threat.data?.category,
+        origin: window.location.origin
+      });
+      return;
+    }
+
+    this.transport?.send('threats', {
       ...threat,
-      page: window.location.href,
-      referrer: document.referrer,
-      cookies: document.cookie.length > 0
-    };
-    
-    fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Security-Token': 'cyberempirex-audit-system'
-      },
-      body: JSON.stringify(payload)
-    }).catch(error => {
-      console.error('[SecurityAudit] Failed to send threat report:', error);
+      page: this.redactURL(window.location.href),
+      referrer: this.redactURL(document.referrer),
+      cookies: readCookies().length > 0
     });
   }
 
-  sanitize(input) {
+  /**
+   * Escape markup and redact sensitive values. `key` is the property name
+   * the value was found under, used for name-based redaction.
+   */
+  sanitize(input, key = '') {
+    if (key && this.isSensitiveName(key) && input !== null && typeof input !== 'object') {
+      return REDACTED;
+    }
+
+    if (typeof input === 'string') {
+      return this.redactValue(input).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     if (typeof input !== 'object' || input === null) {
       return input;
     }
     
     const output = Array.isArray(input) ? [] : {};
-    for (const key in input) {
-      if (typeof input[key] === 'string') {
-        output[key] = input[key].replace(/</g, '&lt;').replace(/>/g, '&gt;');
-      } else {
-        output[key] = this.sanitize(input[key]);
-      }
+    for (const prop in input) {
+      output[prop] = this.sanitize(input[prop], Array.isArray(input) ? key : prop);
+    }
+    return output;
+  }
+
+  isSensitiveName(name) {
+    const names = this.config.redaction.sensitiveNames;
+    const key = names instanceof RegExp ? `/${names.source}/${names.flags}` : String(names);
+    if (this.sensitiveNameKey !== key) {
+      this.sensitiveNameKey = key;
+      this.sensitiveNamePattern = names instanceof RegExp ?
+        new RegExp(names.source, names.flags.replace(/[gy]/g, '')) :
+        new RegExp(names, 'i');
     }
+    const text = String(name);
+    return this.sensitiveNamePattern.test(text) ||
+      this.sensitiveNamePattern.test(text.replace(/([a-z\d])([A-Z])/g, '$1_$2'));
+  }
+
+  redactionLevel() {
+    const level = this.config.redaction.level;
+    return REDACTION_LEVELS.includes(level) ? level : 'balanced';
+  }
+
+  /**
+   * Value for a submitted form control, dropped by input type, name or
+   * privacy level before it ever reaches an event
+   */
+  redactField(el) {
+    const type = (el.type || '').toLowerCase();
+    if (this.config.redaction.dropInputTypes.includes(type)) return `${REDACTED}:${type}`;
+    if (this.isSensitiveName(el.name) || this.isSensitiveName(el.autocomplete || '')) return REDACTED;
+    if (this.redactionLevel() === 'strict') return el.value ? REDACTED : '';
+    return this.redactValue(el.value);
+  }
+
+  /**
+   * Mask values by shape. Idempotent, so already-sanitized data can pass
+   * through again unchanged.
+   */
+  redactValue(value) {
+    const level = this.redactionLevel();
+    if (level === 'minimal' || !value) return value;
+
+    let output = /^(https?|wss?):\/\//i.test(value) ? this.redactURL(value) : value;
+
+    // Card numbers: 13-19 digits with a 2-6 issuer prefix that pass Luhn
+    output = output.replace(/\b[2-6](?:\d[ -]?){11,17}\d\b/g, match => {
+      const digits = match.replace(/\D/g, '');
+      return isLuhnValid(digits) ? `•••• ${digits.slice(-4)}` : match;
+    });
+    output = output.replace(/\b\d{3}-\d{2}-\d{4}\b/g, '[ssn]');
+    output = output.replace(/\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g,
+      (match, first, domain) => (level === 'strict' ? '[email]' : `${first}***@${domain}`));
+
+    SECRET_PATTERNS.forEach(pattern => {
+      if (pattern.kind !== 'secret' || pattern.group) return;
+      output = output.replace(pattern.regex, match => redactSecret(match, 'secret'));
+    });
+
     return output;
   }
 
+  redactURL(url) {
+    if (!url) return url;
+
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (error) {
+      return url;
+    }
+
+    if (this.redactionLevel() === 'strict') {
+      return `${parsed.origin}${parsed.pathname}`;
+    }
+
+    Array.from(parsed.searchParams.entries()).forEach(([name, value]) => {
+      const redacted = this.isSensitiveName(name) ? REDACTED : this.redactValue(value);
+      if (redacted !== value) parsed.searchParams.set(name, redacted);
+    });
+    return parsed.href;
+  }
+
   destroy() {
-    clearInterval(this.scannerInterval);
+    this.stop();
+    this.transport?.stop();
+    this.threatCenter?.destroy();
+    this.consent.hidePrompt();
+    this.journal?.close();
+    this.subscribers = [];
+    claimedNamespaces.delete(this.namespace);
     console.log('%c[SecurityAudit] Shutdown', 'color: #ff6b6b; font-weight: bold;');
   }
 }
 
-// Initialize with enhanced error handling
+// Initialize with enhanced error handling. Only a classic <script> tag
+// auto-initialises; module imports, require() and tests construct their own
+// instances. Opt out with <script data-auto-init="false"> and pass options
+// through window.SecurityAuditOptions.
+const auditScript = typeof document !== 'undefined' ? document.currentScript : null;
+
 try {
-  if (window.SecurityAudit) {
+  if (!auditScript || auditScript.dataset.autoInit === 'false') {
+    // Instantiation left to the embedder
+  } else if (window.SecurityAudit) {
     console.warn('[SecurityAudit] Already initialized');
   } else {
-    window.SecurityAudit = new SecurityAudit();
-    
-    // Add cleanup on page unload
-    window.addEventListener('beforeunload', () => {
-      window.SecurityAudit?.destroy();
+    window.SecurityAudit = new SecurityAudit(window.SecurityAuditOptions);
+
+    // Flush reports as the page goes away, but keep the auditor running:
+    // the page may yet stay (a cancelled navigation, a download link) or
+    // come back from the back/forward cache
+    window.addEventListener('pagehide', () => {
+      window.SecurityAudit?.transport?.flush({ beacon: true });
     });
   }
 } catch (error) {
   console.error('[SecurityAudit] Initialization failed:', error);
 }
 
-// DevTools detection (additional method)
-(function() {
-  const element = new Image();
-  Object.defineProperty(element, 'id', {
-    get: function() {
-      window.dispatchEvent(new CustomEvent('devtoolschange', {
-        detail: { isOpen: true }
-      }));
-    }
-  });
-  
-  console.log('%c', element);
-  console.clear();
-})();
+SecurityAudit.defaults = defaultConfig;
+SecurityAudit.RuleEngine = RuleEngine;
+SecurityAudit.ThreatJournal = ThreatJournal;
+SecurityAudit.ReportTransport = ReportTransport;
+SecurityAudit.AnomalyDetector = AnomalyDetector;
+
+// Export for module systems (security-audit.mjs re-exports this for ES modules)
+if (typeof globalThis !== 'undefined') {
+  globalThis.CyberEmpireXSecurityAudit = SecurityAudit;
+}
 
-// Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SecurityAudit;
-      }
+  module.exports.default = SecurityAudit;
+}
@@ -0,0 +1,16 @@
+/**
+ * CyberEmpireX Security Audit - ES module entry
+ * Evaluates the classic script (which never auto-initialises when imported)
+ * and re-exports the class so several configured instances can be created:
+ *
+ *   import SecurityAudit from './security-audit.mjs';
+ *   const audit = new SecurityAudit({ autoStart: false, scanInterval: 5000 });
+ *   audit.start();
+ */
+import './security-audit.js';
+
+const SecurityAudit = globalThis.CyberEmpireXSecurityAudit;
+
+export default SecurityAudit;
+export { SecurityAudit };
+export const { RuleEngine, ThreatJournal, ReportTransport, AnomalyDetector } = SecurityAudit;